@@ -0,0 +1,49 @@
+// Example module: lists the links on a page. Served as POST /links and as
+// the "links" job type.
+export default {
+  name: 'links',
+  version: '1.0.0',
+  schema: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', pattern: '^https?://' },
+      sameHost: { type: 'boolean' },
+      limit: { type: 'integer', minimum: 1, maximum: 1000 },
+      requiredSelectors: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  async handler({ page, payload, helpers, context }) {
+    const { url, sameHost = false, limit = 200 } = payload;
+    const { response, blocker, consent } = await helpers.navigate(page, payload);
+    if (blocker) {
+      return helpers.buildBlockerPayload(blocker, {
+        profileId: context.profileId,
+        url,
+        finalUrl: page.url(),
+        consent,
+      });
+    }
+
+    const links = await page.$$eval('a[href]', (anchors) =>
+      anchors.map((anchor) => ({ text: anchor.innerText.trim(), href: anchor.href }))
+    );
+    const { host } = new URL(page.url());
+    const seen = new Set();
+    const results = links
+      .filter(({ href }) => href.startsWith('http'))
+      .filter(({ href }) => !sameHost || new URL(href).host === host)
+      .filter(({ href }) => !seen.has(href) && seen.add(href))
+      .slice(0, limit);
+
+    return {
+      timestamp: new Date().toISOString(),
+      profileId: context.profileId,
+      url,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      consent,
+      links: results,
+    };
+  },
+};
@@ -0,0 +1,101 @@
+import { chromium } from "playwright";
+import fs from "fs";
+import path from "path";
+import { parseSerp } from "../src/extractors/serp.js";
+import { parseMaps } from "../src/extractors/maps.js";
+import { parseVertical } from "../src/extractors/verticals.js";
+import { parsePlace } from "../src/extractors/place.js";
+import { parseReviews } from "../src/extractors/reviews.js";
+import { FIXTURES_DIR, loadFixturePage } from "../test/helpers.js";
+
+// Captures a live page through a running service and stores it as a parser
+// fixture. The expected output is what the current parsers read from the saved
+// HTML offline, so review it before committing.
+const [kind, query, nameArg] = process.argv.slice(2);
+const verticals = ["news", "images", "videos", "shopping"];
+const routes = {
+  serp: "/search",
+  maps: "/maps",
+  place: "/maps/place",
+  reviews: "/maps/reviews",
+};
+for (const vertical of verticals) routes[vertical] = "/search";
+if (!routes[kind] || !query) {
+  console.error(
+    `Usage: node scripts/capture-fixture.mjs <${Object.keys(routes).join("|")}> <query> [fixture-name]`
+  );
+  process.exit(1);
+}
+
+const serviceUrl = process.env.SERVICE_URL || "http://localhost:4000";
+const defaults = {
+  maps: { limit: 20, scroll: false },
+  place: { about: false },
+  reviews: { limit: 10, scroll: false, now: new Date().toISOString() },
+};
+const options = defaults[kind] || { limit: 10 };
+const response = await fetch(`${serviceUrl}${routes[kind]}`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json", "X-API-Key": process.env.API_KEY || "" },
+  body: JSON.stringify({
+    query,
+    vertical: verticals.includes(kind) ? kind : undefined,
+    limit: options.limit,
+    about: options.about,
+    lang: process.env.LANG_CODE || "en",
+    profileId: process.env.PROFILE_ID,
+    returnHtml: true,
+    noCache: true,
+  }),
+});
+const live = await response.json();
+if (!response.ok || !live.html) {
+  console.error(`capture failed with HTTP ${response.status}:`, live.error || live.blocker || live);
+  process.exit(1);
+}
+
+// Fixtures load with scripts off, so inline scripts (which carry session
+// tokens) go, and the signed-in account is masked. Review the diff anyway.
+function scrub(html) {
+  return html
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/(aria-label="Google Account: )[^"]*"/g, '$1Test User (user@example.com)"')
+    .replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, (match) =>
+      /\.(png|jpe?g|gif|webp|svg|avif)$/i.test(match) ? match : "user@example.com"
+    );
+}
+const html = scrub(live.html);
+
+const name =
+  nameArg ||
+  `${query.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}-${new Date()
+    .toISOString()
+    .slice(0, 10)}`;
+const dir = path.join(FIXTURES_DIR, kind);
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(path.join(dir, `${name}.html`), html);
+
+// Place coordinates are read from the URL the panel ended up on.
+const url = kind === "place" || kind === "reviews" ? live.finalUrl : live.url;
+const browser = await chromium.launch({ headless: true });
+const { page, close } = await loadFixturePage(browser, { url, html });
+const parsers = { serp: parseSerp, maps: parseMaps, place: parsePlace, reviews: parseReviews };
+const parse = verticals.includes(kind)
+  ? (target) => parseVertical(target, kind, options)
+  : (target) => parsers[kind](target, options);
+const expected = await parse(page);
+await close();
+await browser.close();
+
+const capturedAt = new Date().toISOString();
+fs.writeFileSync(
+  path.join(dir, `${name}.json`),
+  `${JSON.stringify({ url, capturedAt, options, expected }, null, 2)}\n`
+);
+console.log(`saved test/fixtures/${kind}/${name}.html and ${name}.json`);
+if (live.results) {
+  console.log(`live results: ${live.results.length}, offline results: ${expected.results.length}`);
+  if (live.results.length !== expected.results.length) {
+    console.warn("counts differ: the live page changed after load, or maps scrolled for more cards");
+  }
+}
@@ -0,0 +1,53 @@
+import Redis from "ioredis";
+import crypto from "crypto";
+
+const [endpointModule, payloadArg = "{}", profileId = ""] = process.argv.slice(2);
+if (!endpointModule) {
+  console.error("Usage: node scripts/enqueue-job.mjs <endpoint_module> '<payload-json>' [profile_id]");
+  process.exit(1);
+}
+
+const redisUrl = process.env.REDIS_URL || "redis://localhost:6379";
+const jobStream = process.env.REDIS_JOB_STREAM || "pb:jobs";
+const resultStream = process.env.REDIS_RESULT_STREAM || "pb:results";
+const timeoutMs = Number(process.env.WAIT_TIMEOUT || 120000);
+
+const redis = new Redis(redisUrl);
+const jobId = crypto.randomUUID();
+const [lastResult] = await redis.xrevrange(resultStream, "+", "-", "COUNT", 1);
+const startId = lastResult ? lastResult[0] : "0";
+
+await redis.xadd(
+  jobStream,
+  "*",
+  "job_id", jobId,
+  "tenant_id", "local",
+  "endpoint_module", endpointModule,
+  "payload", payloadArg,
+  "profile_id", profileId,
+  "priority", "0",
+  "retry_count", "0",
+  "trace_id", crypto.randomBytes(16).toString("hex")
+);
+console.log(`enqueued ${jobId} on ${jobStream}, waiting for result on ${resultStream}...`);
+
+const deadline = Date.now() + timeoutMs;
+let cursor = startId;
+while (Date.now() < deadline) {
+  const reply = await redis.xread("BLOCK", 5000, "STREAMS", resultStream, cursor);
+  if (!reply) continue;
+  for (const [id, fields] of reply[0][1]) {
+    cursor = id;
+    const entry = {};
+    for (let i = 0; i < fields.length; i += 2) entry[fields[i]] = fields[i + 1];
+    if (entry.job_id !== jobId) continue;
+    if (entry.result) entry.result = JSON.parse(entry.result);
+    console.log(JSON.stringify(entry, null, 2));
+    redis.disconnect();
+    process.exit(entry.status === "failed" ? 1 : 0);
+  }
+}
+
+console.error(`no result for ${jobId} within ${timeoutMs}ms`);
+redis.disconnect();
+process.exit(1);
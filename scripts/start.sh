@@ -9,9 +9,9 @@ XVFB_D=${XVFB_DEPTH:-24}
 VNC_PORT=${VNC_PORT:-5900}
 NOVNC_PORT=${NOVNC_PORT:-7900}
 NOVNC_WEB=${NOVNC_WEB:-/usr/share/novnc}
-PROFILE_ROOT=${PROFILE_DIR:-/profiles/default}
+PROFILE_ROOT=${PROFILE_DIR:-/profiles}
 PASS_FILE=/tmp/x11vnc.pass
-API_KEY_VALUE=${API_KEY:-}
+VNC_PASSWORD_VALUE=${VNC_PASSWORD:-${API_KEY:-}}
 
 mkdir -p "$PROFILE_ROOT"
 
@@ -39,11 +39,11 @@ done
 fluxbox >/tmp/fluxbox.log 2>&1 &
 FLUX_PID=$!
 
-if [ -n "$API_KEY_VALUE" ]; then
-  x11vnc -storepasswd "$API_KEY_VALUE" "$PASS_FILE" >/tmp/x11vnc_pass.log 2>&1
+if [ -n "$VNC_PASSWORD_VALUE" ]; then
+  x11vnc -storepasswd "$VNC_PASSWORD_VALUE" "$PASS_FILE" >/tmp/x11vnc_pass.log 2>&1
   X11VNC_AUTH_OPTS="-rfbauth $PASS_FILE"
 else
-  echo "[entrypoint] WARNING: API_KEY not set; VNC will start without a password"
+  echo "[entrypoint] WARNING: neither VNC_PASSWORD nor API_KEY set; VNC will start without a password"
   X11VNC_AUTH_OPTS="-nopw"
 fi
 
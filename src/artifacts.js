@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  ARTIFACTS,
+  ARTIFACTS_DIR,
+  ARTIFACTS_MAX_AGE,
+  ARTIFACTS_MAX_COUNT,
+} from './config.js';
+import { logger } from './logger.js';
+
+const MAX_ENTRIES = 200;
+const CAPTURE_TIMEOUT = 10000;
+const ID_PATTERN = /^[\da-f-]{36}$/;
+
+export const ARTIFACT_FILES = {
+  'page.html': 'text/html; charset=utf-8',
+  'screenshot.png': 'image/png',
+  'console.json': 'application/json',
+  'requests.json': 'application/json',
+};
+
+export const shouldCapture = (payload) =>
+  payload.artifacts !== undefined ? payload.artifacts === true : ARTIFACTS === 'failures';
+
+const push = (list, entry) => {
+  if (list.length < MAX_ENTRIES) {
+    list.push(entry);
+  }
+};
+
+// Collects console output and failed requests while a job runs. The pool
+// drops these listeners when it recycles the page.
+export function recordPageActivity(page) {
+  const consoleLog = [];
+  const failedRequests = [];
+  page.on('console', (message) => {
+    push(consoleLog, {
+      time: new Date().toISOString(),
+      type: message.type(),
+      text: message.text(),
+    });
+  });
+  page.on('pageerror', (error) => {
+    push(consoleLog, { time: new Date().toISOString(), type: 'pageerror', text: error.message });
+  });
+  page.on('requestfailed', (request) => {
+    const failure = request.failure();
+    push(failedRequests, {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      error: failure ? failure.errorText : 'failed',
+    });
+  });
+  page.on('response', (response) => {
+    if (response.status() >= 400) {
+      const request = response.request();
+      push(failedRequests, {
+        url: response.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        status: response.status(),
+      });
+    }
+  });
+  return { id: crypto.randomUUID(), consoleLog, failedRequests };
+}
+
+const withTimeout = (promise) =>
+  Promise.race([
+    promise,
+    new Promise((_resolve, reject) => {
+      setTimeout(() => reject(new Error('capture timed out')), CAPTURE_TIMEOUT).unref();
+    }),
+  ]);
+
+// Writes what is left of the page plus the recorded activity and returns the
+// artifact id. HTML and screenshot are skipped when the page is already gone.
+export async function saveArtifacts(page, activity, meta, log = logger) {
+  const { id } = activity;
+  const dir = path.join(ARTIFACTS_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+  const files = [];
+  const write = async (name, data) => {
+    await fs.writeFile(path.join(dir, name), data);
+    files.push(name);
+  };
+
+  let finalUrl = null;
+  if (!page.isClosed()) {
+    finalUrl = page.url();
+    try {
+      await write('page.html', await withTimeout(page.content()));
+    } catch (err) {
+      log.warn('capturing page html failed', { artifactId: id, err: err.message });
+    }
+    try {
+      await write(
+        'screenshot.png',
+        await withTimeout(page.screenshot({ fullPage: true, timeout: CAPTURE_TIMEOUT }))
+      );
+    } catch (err) {
+      log.warn('capturing screenshot failed', { artifactId: id, err: err.message });
+    }
+  }
+  await write('console.json', JSON.stringify(activity.consoleLog, null, 2));
+  await write('requests.json', JSON.stringify(activity.failedRequests, null, 2));
+  await fs.writeFile(
+    path.join(dir, 'meta.json'),
+    JSON.stringify({ id, createdAt: new Date().toISOString(), finalUrl, ...meta, files }, null, 2)
+  );
+  log.info('failure artifacts saved', { artifactId: id, reason: meta.reason, files });
+  pruneArtifacts().catch((err) => log.warn('pruning artifacts failed', { err }));
+  return id;
+}
+
+export async function getArtifact(id) {
+  if (!ID_PATTERN.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(ARTIFACTS_DIR, id, 'meta.json'), 'utf8'));
+  } catch (_err) {
+    return null;
+  }
+}
+
+export const artifactFilePath = (id, name) => path.join(ARTIFACTS_DIR, id, name);
+
+async function listArtifacts() {
+  let names;
+  try {
+    names = await fs.readdir(ARTIFACTS_DIR);
+  } catch (_err) {
+    return [];
+  }
+  const entries = [];
+  for (const name of names.filter((entry) => ID_PATTERN.test(entry))) {
+    try {
+      const { mtimeMs } = await fs.stat(path.join(ARTIFACTS_DIR, name));
+      entries.push({ name, mtimeMs });
+    } catch (_err) {
+      // removed concurrently
+    }
+  }
+  return entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+// Keeps at most ARTIFACTS_MAX_COUNT sets, none older than ARTIFACTS_MAX_AGE.
+export async function pruneArtifacts() {
+  const cutoff = Date.now() - ARTIFACTS_MAX_AGE;
+  const entries = await listArtifacts();
+  const stale = entries.filter(
+    (entry, index) => index >= ARTIFACTS_MAX_COUNT || entry.mtimeMs < cutoff
+  );
+  for (const { name } of stale) {
+    await fs.rm(path.join(ARTIFACTS_DIR, name), { recursive: true, force: true });
+  }
+  return stale.length;
+}
+
+const pruneTimer = setInterval(() => {
+  pruneArtifacts().catch((err) => logger.warn('pruning artifacts failed', { err }));
+}, 3600000);
+pruneTimer.unref();
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { API_KEY, API_KEYS_FILE, ALLOW_QUERY_API_KEY } from './config.js';
+import { apiKeyRequests } from './metrics.js';
+import { handlers } from './handlers/index.js';
+import { logger } from './logger.js';
+
+// Route scopes are the handler names (fetch, search, maps, screenshot, pdf and
+// loaded modules; /maps/place shares "maps"); the rest guard features and
+// management routes. "*" grants everything.
+export const EXTRA_SCOPES = ['evaluateScript', 'proxy', 'cookies', 'reset', 'metrics', 'admin'];
+const KEY_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const PROFILE_PATTERN_RE = /^[A-Za-z0-9_*-]{1,64}$/;
+const SECRET_HASH_PATTERN = /^[0-9a-f]{64}$/;
+const ENV_KEY_ID = 'env';
+const MINUTE = 60000;
+
+const keys = new Map();
+const usage = new Map();
+let byHash = new Map();
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const generateSecret = () => `pb_${crypto.randomBytes(24).toString('base64url')}`;
+
+function indexKeys() {
+  byHash = new Map();
+  for (const key of keys.values()) {
+    if (!key.revokedAt) {
+      byHash.set(key.secretHash, key);
+    }
+  }
+}
+
+function validateStoredKey(key) {
+  if (!key || typeof key.id !== 'string' || !KEY_ID_PATTERN.test(key.id)) {
+    return 'id must be 1-64 letters, digits, "-" or "_"';
+  }
+  if (keys.has(key.id)) {
+    return 'id is used twice';
+  }
+  if (typeof key.secretHash !== 'string' || !SECRET_HASH_PATTERN.test(key.secretHash)) {
+    return 'secretHash must be a hex SHA-256 digest';
+  }
+  return validateKeySettings(key);
+}
+
+// Runs once at startup, after modules are loaded so their scopes are known. A
+// bad entry stops the service rather than being dropped, since the next key
+// change would rewrite the file without it.
+export function loadKeys() {
+  if (API_KEYS_FILE && fs.existsSync(API_KEYS_FILE)) {
+    const parsed = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+    for (const [index, key] of (parsed.keys || []).entries()) {
+      const invalid = validateStoredKey(key);
+      if (invalid) {
+        const name = key && typeof key.id === 'string' ? `"${key.id}"` : `#${index}`;
+        throw new Error(`${API_KEYS_FILE}: key ${name}: ${invalid}`);
+      }
+      keys.set(key.id, key);
+    }
+  }
+  if (API_KEY) {
+    keys.set(ENV_KEY_ID, {
+      id: ENV_KEY_ID,
+      secretHash: hashSecret(API_KEY),
+      scopes: ['*'],
+      profiles: ['*'],
+      quota: {},
+      managed: 'env',
+    });
+  }
+  indexKeys();
+  if (!byHash.size) {
+    logger.warn('no API keys configured; all requests will be rejected');
+  }
+}
+
+function saveKeys() {
+  const stored = Array.from(keys.values()).filter((key) => !key.managed);
+  const tmp = `${API_KEYS_FILE}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify({ keys: stored }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tmp, API_KEYS_FILE);
+}
+
+function getUsage(id) {
+  if (!usage.has(id)) {
+    usage.set(id, {
+      total: 0,
+      rejected: 0,
+      routes: {},
+      minute: { start: 0, count: 0 },
+      day: { date: '', count: 0 },
+      lastUsedAt: null,
+    });
+  }
+  return usage.get(id);
+}
+
+export function toKeyView(key) {
+  const stats = getUsage(key.id);
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    id: key.id,
+    scopes: key.scopes,
+    profiles: key.profiles,
+    quota: key.quota,
+    managed: key.managed || null,
+    createdAt: key.createdAt || null,
+    rotatedAt: key.rotatedAt || null,
+    revokedAt: key.revokedAt || null,
+    usage: {
+      total: stats.total,
+      rejected: stats.rejected,
+      today: stats.day.date === today ? stats.day.count : 0,
+      routes: stats.routes,
+      lastUsedAt: stats.lastUsedAt,
+    },
+  };
+}
+
+const readProvidedKey = (req) => {
+  const authorization = req.header('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.header('x-api-key') || (ALLOW_QUERY_API_KEY ? req.query.api_key : undefined);
+};
+
+export const authenticate = (req, res, next) => {
+  const provided = readProvidedKey(req);
+  const key = typeof provided === 'string' && provided ? byHash.get(hashSecret(provided)) : null;
+  if (!key) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+  req.apiKey = key;
+  res.locals.logFields.keyId = key.id;
+  return next();
+};
+
+export const hasScope = (key, scope) => key.scopes.includes('*') || key.scopes.includes(scope);
+
+export const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.apiKey, scope)) {
+    apiKeyRequests.inc({ key: req.apiKey.id, outcome: 'forbidden' });
+    return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+  }
+  return next();
+};
+
+const matchesPattern = (pattern, value) =>
+  pattern === '*' ||
+  (pattern.endsWith('*') ? value.startsWith(pattern.slice(0, -1)) : value === pattern);
+
+export const canUseProfile = (key, profileId) =>
+  (key.profiles || ['*']).some((pattern) => matchesPattern(pattern, profileId));
+
+// Scope and profile checks for anything that runs a browser job.
+export function authorizeJob(key, job) {
+  const scope = job.handler.scope || job.handler.name;
+  if (!hasScope(key, scope)) {
+    return `API key lacks the "${scope}" scope`;
+  }
+  if (job.payload.evaluateScript && !hasScope(key, 'evaluateScript')) {
+    return 'API key lacks the "evaluateScript" scope';
+  }
+  // Profiles launch with ignoreHTTPSErrors, so a chosen proxy could read their
+  // logged-in traffic.
+  if (job.payload.proxy !== undefined && !hasScope(key, 'proxy')) {
+    return 'API key lacks the "proxy" scope';
+  }
+  if (!canUseProfile(key, job.profileId)) {
+    return `API key may not use profile "${job.profileId}"`;
+  }
+  return null;
+}
+
+// Counts one job request against the key's quotas. Returns null when allowed,
+// otherwise { quota, limit, retryAfter } for a 429.
+export function consumeQuota(key, route) {
+  const stats = getUsage(key.id);
+  const now = Date.now();
+  const today = new Date(now).toISOString().slice(0, 10);
+  if (now - stats.minute.start >= MINUTE) {
+    stats.minute = { start: now, count: 0 };
+  }
+  if (stats.day.date !== today) {
+    stats.day = { date: today, count: 0 };
+  }
+  const { perMinute, perDay } = key.quota || {};
+  let exceeded = null;
+  if (perDay && stats.day.count >= perDay) {
+    const midnight = Date.parse(`${today}T00:00:00Z`) + 24 * 60 * MINUTE;
+    exceeded = { quota: 'perDay', limit: perDay, retryAfter: Math.ceil((midnight - now) / 1000) };
+  } else if (perMinute && stats.minute.count >= perMinute) {
+    exceeded = {
+      quota: 'perMinute',
+      limit: perMinute,
+      retryAfter: Math.ceil((stats.minute.start + MINUTE - now) / 1000),
+    };
+  }
+  if (exceeded) {
+    stats.rejected += 1;
+    apiKeyRequests.inc({ key: key.id, outcome: 'rate_limited' });
+    return exceeded;
+  }
+  stats.minute.count += 1;
+  stats.day.count += 1;
+  stats.total += 1;
+  stats.routes[route] = (stats.routes[route] || 0) + 1;
+  stats.lastUsedAt = new Date(now).toISOString();
+  apiKeyRequests.inc({ key: key.id, outcome: 'accepted' });
+  return null;
+}
+
+export function validateKeySettings(body, { partial = false } = {}) {
+  const { scopes, profiles, quota } = body;
+  if (scopes !== undefined || !partial) {
+    const routeScopes = Array.from(handlers.values(), (handler) => handler.scope || handler.name);
+    const known = ['*', ...new Set(routeScopes), ...EXTRA_SCOPES];
+    if (!Array.isArray(scopes) || !scopes.every((scope) => known.includes(scope))) {
+      return `scopes must be an array of: ${known.join(', ')}`;
+    }
+  }
+  if (profiles !== undefined) {
+    const valid =
+      Array.isArray(profiles) &&
+      profiles.every((item) => typeof item === 'string' && PROFILE_PATTERN_RE.test(item));
+    if (!valid) {
+      return 'profiles must be an array of profile ids or prefixes ending in *';
+    }
+  }
+  if (quota !== undefined) {
+    if (!quota || typeof quota !== 'object') {
+      return 'quota must be an object';
+    }
+    for (const name of ['perMinute', 'perDay']) {
+      const value = quota[name];
+      if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+        return `quota.${name} must be a positive integer`;
+      }
+    }
+  }
+  return null;
+}
+
+export function listKeys() {
+  return Array.from(keys.values()).map(toKeyView);
+}
+
+export function getKey(id) {
+  return keys.get(id) || null;
+}
+
+// Management helpers throw errors carrying an HTTP status.
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+function assertWritable() {
+  if (!API_KEYS_FILE) {
+    throw fail(400, 'API_KEYS_FILE is not configured');
+  }
+}
+
+function assertManageable(id) {
+  const key = keys.get(id);
+  if (!key) {
+    throw fail(404, 'key not found');
+  }
+  if (key.managed) {
+    throw fail(400, 'this key comes from the API_KEY env var and cannot be changed here');
+  }
+  return key;
+}
+
+export function createKey({ id, scopes, profiles = ['*'], quota = {} }) {
+  assertWritable();
+  if (typeof id !== 'string' || !KEY_ID_PATTERN.test(id)) {
+    throw fail(400, 'id must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (keys.has(id)) {
+    throw fail(409, 'a key with this id already exists');
+  }
+  const secret = generateSecret();
+  const key = {
+    id,
+    secretHash: hashSecret(secret),
+    scopes,
+    profiles,
+    quota,
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null,
+  };
+  keys.set(id, key);
+  saveKeys();
+  indexKeys();
+  return { key: toKeyView(key), secret };
+}
+
+export function updateKey(id, { scopes, profiles, quota }) {
+  assertWritable();
+  const key = assertManageable(id);
+  if (scopes !== undefined) key.scopes = scopes;
+  if (profiles !== undefined) key.profiles = profiles;
+  if (quota !== undefined) key.quota = quota;
+  saveKeys();
+  return toKeyView(key);
+}
+
+export function rotateKey(id) {
+  assertWritable();
+  const key = assertManageable(id);
+  if (key.revokedAt) {
+    throw fail(409, 'key is revoked');
+  }
+  const secret = generateSecret();
+  key.secretHash = hashSecret(secret);
+  key.rotatedAt = new Date().toISOString();
+  saveKeys();
+  indexKeys();
+  return { key: toKeyView(key), secret };
+}
+
+export function revokeKey(id) {
+  assertWritable();
+  const key = assertManageable(id);
+  key.revokedAt = key.revokedAt || new Date().toISOString();
+  saveKeys();
+  indexKeys();
+  return toKeyView(key);
+}
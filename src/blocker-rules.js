@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+import { BLOCKER_RULES_FILE } from './config.js';
+import { logger } from './logger.js';
+
+const MATCHERS = ['selectors', 'phrases', 'iframes', 'html'];
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const TYPE_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const RELOAD_DEBOUNCE = 200;
+
+let rules = [];
+let loadedAt = null;
+let watcher;
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string' && item.length > 0);
+
+export function validateRule(rule, label = 'rule') {
+  if (!rule || typeof rule !== 'object') {
+    return `${label} must be an object`;
+  }
+  if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+    return `${label}.id must be 1-64 letters, digits, ".", "-" or "_"`;
+  }
+  if (typeof rule.type !== 'string' || !TYPE_PATTERN.test(rule.type)) {
+    return `${label}.type must be a lowercase identifier such as "cookie" or "paywall"`;
+  }
+  if (!MATCHERS.some((key) => rule[key] !== undefined)) {
+    return `${label} needs at least one of ${MATCHERS.join(', ')}`;
+  }
+  for (const key of MATCHERS) {
+    if (rule[key] !== undefined && !isStringList(rule[key])) {
+      return `${label}.${key} must be an array of non-empty strings`;
+    }
+  }
+  for (const pattern of rule.iframes || []) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (_err) {
+      return `${label}.iframes contains an invalid pattern: ${pattern}`;
+    }
+  }
+  return null;
+}
+
+// Rules as the page evaluator expects them: phrases/html lower-cased, defaults filled in.
+const normalizeRule = (rule) => ({
+  id: rule.id,
+  type: rule.type,
+  reason: rule.reason || `Detected ${rule.type.replace(/_/g, ' ')} blocker`,
+  selectors: rule.selectors || [],
+  phrases: (rule.phrases || []).map((phrase) => phrase.toLowerCase()),
+  iframes: rule.iframes || [],
+  html: (rule.html || []).map((marker) => marker.toLowerCase()),
+  onlyWhenMissing: Boolean(rule.onlyWhenMissing),
+});
+
+function readRulesFile() {
+  const parsed = JSON.parse(fs.readFileSync(BLOCKER_RULES_FILE, 'utf8'));
+  const list = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(list)) {
+    throw new Error('rules file must contain a "rules" array');
+  }
+  const seen = new Set();
+  const loaded = [];
+  for (const [index, rule] of list.entries()) {
+    const error = validateRule(rule, `rules[${index}]`);
+    if (error) {
+      throw new Error(error);
+    }
+    if (seen.has(rule.id)) {
+      throw new Error(`duplicate rule id "${rule.id}"`);
+    }
+    seen.add(rule.id);
+    if (rule.enabled !== false) {
+      loaded.push(normalizeRule(rule));
+    }
+  }
+  return loaded;
+}
+
+// Keeps the previous rule set when the file is missing or invalid.
+export function reloadBlockerRules() {
+  try {
+    rules = readRulesFile();
+    loadedAt = new Date().toISOString();
+    logger.info('blocker rules loaded', { file: BLOCKER_RULES_FILE, rules: rules.length });
+    return { ok: true, rules: rules.length };
+  } catch (err) {
+    logger.error('blocker rules not loaded', { file: BLOCKER_RULES_FILE, err });
+    return { ok: false, error: err.message, rules: rules.length };
+  }
+}
+
+export function watchBlockerRules() {
+  if (watcher) return;
+  let timer;
+  const name = path.basename(BLOCKER_RULES_FILE);
+  // Watch the directory: editors often replace the file rather than write to it.
+  try {
+    watcher = fs.watch(path.dirname(BLOCKER_RULES_FILE), (_event, filename) => {
+      if (filename && filename !== name) return;
+      clearTimeout(timer);
+      timer = setTimeout(reloadBlockerRules, RELOAD_DEBOUNCE);
+    });
+    watcher.unref();
+  } catch (err) {
+    logger.warn('cannot watch blocker rules file', { file: BLOCKER_RULES_FILE, err });
+  }
+}
+
+export function getBlockerRulesStatus() {
+  return { file: BLOCKER_RULES_FILE, loadedAt, rules };
+}
+
+export function validateRuleOverrides(value) {
+  if (value === undefined) return null;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'blockerRules must be an object with "add" and/or "suppress"';
+  }
+  if (value.suppress !== undefined && !isStringList(value.suppress)) {
+    return 'blockerRules.suppress must be an array of rule ids or types';
+  }
+  if (value.add !== undefined) {
+    if (!Array.isArray(value.add)) {
+      return 'blockerRules.add must be an array';
+    }
+    for (const [index, rule] of value.add.entries()) {
+      const error = validateRule(rule, `blockerRules.add[${index}]`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Request rules run before the file rules; suppress matches rule ids or types.
+export function resolveBlockerRules(overrides = {}) {
+  const suppressed = new Set(overrides.suppress || []);
+  const added = (overrides.add || []).map(normalizeRule);
+  return [...added, ...rules].filter(
+    (rule) => !suppressed.has(rule.id) && !suppressed.has(rule.type)
+  );
+}
+
+reloadBlockerRules();
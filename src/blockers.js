@@ -0,0 +1,102 @@
+import { logger } from './logger.js';
+import { resolveBlockerRules } from './blocker-rules.js';
+
+export function buildBlockerPayload(blocker, meta = {}) {
+  return {
+    blocked: true,
+    blocker,
+    ...meta,
+  };
+}
+
+export async function detectAccessBlocker(page, options = {}) {
+  const { requiredSelectors = [], blockerRules, log = logger } = options;
+  const rules = resolveBlockerRules(blockerRules);
+  try {
+    const blocker = await page.evaluate(({ rules, requiredSelectors }) => {
+      const toLower = (value) => (value || '').toLowerCase();
+      const bodyText = toLower(document.body ? document.body.innerText : '');
+      const htmlText = toLower(document.documentElement ? document.documentElement.innerHTML : '');
+      const iframeSources = Array.from(document.querySelectorAll('iframe')).map(
+        (el) => el.getAttribute('src') || ''
+      );
+
+      const exists = (selector) => {
+        try {
+          return Boolean(document.querySelector(selector));
+        } catch (_err) {
+          return false;
+        }
+      };
+
+      const missingRequired =
+        Array.isArray(requiredSelectors) &&
+        requiredSelectors.length > 0 &&
+        requiredSelectors.every((selector) => !exists(selector));
+
+      const matches = [];
+      for (const rule of rules) {
+        if (rule.onlyWhenMissing && !missingRequired) continue;
+        const patterns = rule.iframes.map((pattern) => new RegExp(pattern, 'i'));
+        const hit = {
+          id: rule.id,
+          type: rule.type,
+          reason: rule.reason,
+          selectors: rule.selectors.filter(exists),
+          phrases: rule.phrases.filter((phrase) => bodyText.includes(phrase)),
+          iframes: iframeSources.filter((src) => patterns.some((pattern) => pattern.test(src))),
+          html: rule.html.filter((marker) => htmlText.includes(marker)),
+        };
+        if (hit.selectors.length || hit.phrases.length || hit.iframes.length || hit.html.length) {
+          matches.push(hit);
+        }
+      }
+
+      // The first matching rule decides the type; evidence is merged from all
+      // matching rules of that type.
+      if (matches.length) {
+        const { type, reason } = matches[0];
+        const sameType = matches.filter((hit) => hit.type === type);
+        const merge = (key) => Array.from(new Set(sameType.flatMap((hit) => hit[key])));
+        return {
+          type,
+          reason,
+          rules: sameType.map((hit) => hit.id),
+          evidence: {
+            selectors: merge('selectors'),
+            phrases: merge('phrases'),
+            iframes: merge('iframes'),
+            html: merge('html'),
+          },
+          missingRequired,
+        };
+      }
+
+      if (missingRequired) {
+        return {
+          type: 'unknown',
+          reason: 'Required page content was not found after navigation',
+          rules: [],
+          evidence: {
+            selectors: requiredSelectors,
+          },
+          missingRequired: true,
+        };
+      }
+
+      return null;
+    }, { rules, requiredSelectors });
+    if (blocker) {
+      log.info('access blocker detected', {
+        blocker: blocker.type,
+        rules: blocker.rules,
+        evidence: blocker.evidence,
+        url: page.url(),
+      });
+    }
+    return blocker;
+  } catch (err) {
+    log.warn('blocker detection failed', { err });
+    return null;
+  }
+}
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { CACHE_SIZE, CACHE_TTL, CACHE_DIR, CACHE_RETENTION } from './config.js';
+import { cacheRequests } from './metrics.js';
+import { logger } from './logger.js';
+
+// Request fields that change how a job runs but not what it returns.
+const CONTROL_FIELDS = [
+  'timeoutMs',
+  'maxWait',
+  'maxAge',
+  'noCache',
+  'proxy',
+  'autoConsent',
+  'blockerRules',
+];
+
+const entries = new Map();
+const stats = { hits: 0, misses: 0, stores: 0 };
+
+const isEnabled = () => CACHE_SIZE > 0;
+
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  return value;
+}
+
+function normalizeUrl(value) {
+  try {
+    return new URL(value).href;
+  } catch (_err) {
+    return value;
+  }
+}
+
+export function cacheKey({ handler, payload, profileId }) {
+  const request = Object.fromEntries(
+    Object.entries(payload).filter(([key]) => !CONTROL_FIELDS.includes(key) && key !== 'profileId')
+  );
+  if (typeof request.query === 'string') {
+    request.query = request.query.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  if (typeof request.url === 'string') {
+    request.url = normalizeUrl(request.url);
+  }
+  const material = JSON.stringify([handler.name, profileId, normalize(request)]);
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+// How old a cached result the request accepts, or null to skip the lookup.
+// Results are stored whenever the caller opted in (maxAge sent or CACHE_TTL set).
+export function cachePolicy(job) {
+  const { handler, payload } = job;
+  if (!handler.cacheable || !isEnabled() || payload.noCache) {
+    return null;
+  }
+  const maxAge = payload.maxAge !== undefined ? payload.maxAge : CACHE_TTL;
+  if (payload.maxAge === undefined && !CACHE_TTL) {
+    return null;
+  }
+  return { key: cacheKey(job), maxAge };
+}
+
+const filePath = (key) => path.join(CACHE_DIR, `${key}.json`);
+
+function remember(entry) {
+  entries.delete(entry.key);
+  entries.set(entry.key, entry);
+  while (entries.size > CACHE_SIZE) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+async function readDisk(key) {
+  if (!CACHE_DIR) return null;
+  try {
+    return JSON.parse(await fs.readFile(filePath(key), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('reading cache entry failed', { cacheKey: key, err });
+    }
+    return null;
+  }
+}
+
+export async function lookupResult(route, { key, maxAge }) {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = await readDisk(key);
+    if (entry) {
+      remember(entry);
+    }
+  }
+  const age = entry ? Date.now() - entry.storedAt : null;
+  if (!entry || age > maxAge || age > CACHE_RETENTION) {
+    stats.misses += 1;
+    cacheRequests.inc({ route, outcome: 'miss' });
+    return null;
+  }
+  remember(entry);
+  stats.hits += 1;
+  cacheRequests.inc({ route, outcome: 'hit' });
+  return {
+    ...entry.result,
+    cache: { hit: true, key, storedAt: new Date(entry.storedAt).toISOString(), age },
+  };
+}
+
+// Blocked or incomplete results and upstream server errors are never stored.
+export function storeResult(route, { key }, result, log = logger) {
+  if (!result || result.blocked || result.incomplete || (result.status && result.status >= 500)) {
+    return false;
+  }
+  const entry = { key, route, storedAt: Date.now(), result };
+  remember(entry);
+  stats.stores += 1;
+  if (CACHE_DIR) {
+    fs.mkdir(CACHE_DIR, { recursive: true })
+      .then(() => fs.writeFile(filePath(key), JSON.stringify(entry)))
+      .catch((err) => log.warn('writing cache entry failed', { cacheKey: key, err }));
+  }
+  return true;
+}
+
+async function sweepDisk() {
+  let names;
+  try {
+    names = await fs.readdir(CACHE_DIR);
+  } catch (_err) {
+    return;
+  }
+  const cutoff = Date.now() - CACHE_RETENTION;
+  for (const name of names.filter((file) => file.endsWith('.json'))) {
+    const file = path.join(CACHE_DIR, name);
+    try {
+      const { mtimeMs } = await fs.stat(file);
+      if (mtimeMs < cutoff) {
+        await fs.unlink(file);
+      }
+    } catch (_err) {
+      // removed concurrently
+    }
+  }
+}
+
+export function getCacheStatus() {
+  return {
+    enabled: isEnabled(),
+    entries: entries.size,
+    size: CACHE_SIZE,
+    ttl: CACHE_TTL,
+    dir: CACHE_DIR || null,
+    ...stats,
+  };
+}
+
+if (isEnabled()) {
+  const sweepTimer = setInterval(() => {
+    const cutoff = Date.now() - CACHE_RETENTION;
+    for (const [key, entry] of entries) {
+      if (entry.storedAt < cutoff) {
+        entries.delete(key);
+      }
+    }
+    if (CACHE_DIR) {
+      sweepDisk();
+    }
+  }, 600000);
+  sweepTimer.unref();
+}
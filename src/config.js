@@ -0,0 +1,69 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const PORT = Number(process.env.PORT || 4000);
+export const PROFILE_DIR = process.env.PROFILE_DIR
+  ? path.resolve(process.env.PROFILE_DIR)
+  : path.resolve('profiles');
+export const DEFAULT_PROFILE_ID = process.env.DEFAULT_PROFILE_ID || 'default';
+export const MAX_CONTEXTS = Number(process.env.MAX_CONTEXTS || 3);
+export const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+export const HEADLESS = process.env.HEADLESS !== 'false';
+export const DEFAULT_WAIT_UNTIL = process.env.WAIT_UNTIL || 'networkidle';
+export const NAVIGATION_TIMEOUT = Number(process.env.NAVIGATION_TIMEOUT || 45000);
+export const JOB_TIMEOUT = Number(process.env.JOB_TIMEOUT || 180000);
+export const CONCURRENCY = Number(process.env.CONCURRENCY || 1);
+export const PAGE_POOL_SIZE = Number(process.env.PAGE_POOL_SIZE || CONCURRENCY);
+export const EXTRA_ARGS = process.env.BROWSER_ARGS
+  ? process.env.BROWSER_ARGS.split(',').map((arg) => arg.trim()).filter(Boolean)
+  : [];
+export const API_KEY = process.env.API_KEY || '';
+export const BLOCKER_RULES_FILE = process.env.BLOCKER_RULES_FILE
+  ? path.resolve(process.env.BLOCKER_RULES_FILE)
+  : fileURLToPath(new URL('../rules/blockers.json', import.meta.url));
+export const POLITENESS_FILE = process.env.POLITENESS_FILE
+  ? path.resolve(process.env.POLITENESS_FILE)
+  : fileURLToPath(new URL('../rules/politeness.json', import.meta.url));
+export const CACHE_SIZE = Number(process.env.CACHE_SIZE || 200);
+export const CACHE_TTL = Number(process.env.CACHE_TTL || 0);
+export const CACHE_DIR = process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : '';
+export const CACHE_RETENTION = Number(process.env.CACHE_RETENTION || 86400000);
+export const MODULES_DIR = process.env.MODULES_DIR
+  ? path.resolve(process.env.MODULES_DIR)
+  : fileURLToPath(new URL('../modules', import.meta.url));
+export const ARTIFACTS = process.env.ARTIFACTS || 'off';
+export const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR
+  ? path.resolve(process.env.ARTIFACTS_DIR)
+  : path.resolve('artifacts');
+export const ARTIFACTS_MAX_AGE = Number(process.env.ARTIFACTS_MAX_AGE || 604800000);
+export const ARTIFACTS_MAX_COUNT = Number(process.env.ARTIFACTS_MAX_COUNT || 200);
+export const FALLBACK_SNIPPET_LIMIT = Number(process.env.FALLBACK_SNIPPET_LIMIT || 10);
+export const FALLBACK_SNIPPET_TIMEOUT = Number(process.env.FALLBACK_SNIPPET_TIMEOUT || 2000);
+export const JOB_RESULT_TTL = Number(process.env.JOB_RESULT_TTL || 3600000);
+export const CALLBACK_SECRET = process.env.CALLBACK_SECRET || '';
+export const CALLBACK_TIMEOUT = Number(process.env.CALLBACK_TIMEOUT || 10000);
+export const CALLBACK_RETRIES = Number(process.env.CALLBACK_RETRIES || 3);
+export const WORKER_MODE = process.env.WORKER_MODE || 'off';
+export const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+export const REDIS_JOB_STREAM = process.env.REDIS_JOB_STREAM || 'pb:jobs';
+export const REDIS_RESULT_STREAM = process.env.REDIS_RESULT_STREAM || 'pb:results';
+export const REDIS_DEAD_LETTER_STREAM = process.env.REDIS_DEAD_LETTER_STREAM || 'pb:jobs:dead';
+export const REDIS_CONSUMER_GROUP = process.env.REDIS_CONSUMER_GROUP || 'pb-workers';
+export const REDIS_CONSUMER_NAME = process.env.REDIS_CONSUMER_NAME || '';
+export const REDIS_STREAM_MAXLEN = Number(process.env.REDIS_STREAM_MAXLEN || 10000);
+export const WORKER_CONCURRENCY = Number(process.env.WORKER_CONCURRENCY || CONCURRENCY);
+export const WORKER_MAX_RETRIES = Number(process.env.WORKER_MAX_RETRIES || 3);
+export const WORKER_RETRY_DELAY = Number(process.env.WORKER_RETRY_DELAY || 5000);
+export const WORKER_CLAIM_IDLE = Number(process.env.WORKER_CLAIM_IDLE || 600000);
+export const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+export const PROXY_POOL = process.env.PROXY_POOL
+  ? process.env.PROXY_POOL.split(',').map((url) => url.trim()).filter(Boolean)
+  : [];
+export const PROXY_ROTATION = process.env.PROXY_ROTATION || 'round-robin';
+export const PROXY_ROTATE_EVERY = Number(process.env.PROXY_ROTATE_EVERY || 10);
+export const PROXY_COOLDOWN = Number(process.env.PROXY_COOLDOWN || 300000);
+export const PROXY_CONFIG_FILE = process.env.PROXY_CONFIG_FILE
+  ? path.resolve(process.env.PROXY_CONFIG_FILE)
+  : '';
+export const API_KEYS_FILE = process.env.API_KEYS_FILE ? path.resolve(process.env.API_KEYS_FILE) : '';
+export const ALLOW_QUERY_API_KEY = process.env.ALLOW_QUERY_API_KEY === 'true';
@@ -0,0 +1,144 @@
+import { detectAccessBlocker } from './blockers.js';
+import { logger } from './logger.js';
+
+export const CONSENT_MODES = ['reject', 'accept'];
+
+const CLICK_TIMEOUT = 3000;
+const SETTLE_DELAY = 1000;
+const REQUIRED_WAIT = 5000;
+// Consent managers can also hide required content without matching a cookie rule.
+const CONSENT_BLOCKER_TYPES = ['cookie', 'unknown'];
+
+// Each CMP is recognised by `detect` selectors (searched in every frame, so
+// iframe-based banners such as Sourcepoint work too); `reject` and `accept`
+// list the buttons to try, most specific first.
+const CMP_STRATEGIES = [
+  {
+    id: 'google',
+    detect: ['form[action*="consent.google"]', '#L2AGLb', '#W0wltc'],
+    reject: ['#W0wltc', 'form[action*="consent.google"] button:has-text("Reject all")'],
+    accept: ['#L2AGLb', 'form[action*="consent.google"] button:has-text("Accept all")'],
+  },
+  {
+    id: 'onetrust',
+    detect: ['#onetrust-banner-sdk', '#onetrust-consent-sdk'],
+    reject: ['#onetrust-reject-all-handler', '.ot-pc-refuse-all-handler'],
+    accept: ['#onetrust-accept-btn-handler', '#accept-recommended-btn-handler'],
+  },
+  {
+    id: 'quantcast',
+    detect: ['.qc-cmp2-container'],
+    reject: ['.qc-cmp2-summary-buttons button[mode="secondary"]'],
+    accept: ['.qc-cmp2-summary-buttons button[mode="primary"]'],
+  },
+  {
+    id: 'didomi',
+    detect: ['#didomi-host', '#didomi-notice'],
+    reject: ['#didomi-notice-disagree-button', '.didomi-continue-without-agreeing'],
+    accept: ['#didomi-notice-agree-button'],
+  },
+  {
+    id: 'cookiebot',
+    detect: ['#CybotCookiebotDialog'],
+    reject: ['#CybotCookiebotDialogBodyButtonDecline'],
+    accept: [
+      '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+      '#CybotCookiebotDialogBodyButtonAccept',
+    ],
+  },
+  {
+    id: 'osano',
+    detect: ['.osano-cm-window'],
+    reject: ['.osano-cm-denyAll', '.osano-cm-deny'],
+    accept: ['.osano-cm-accept-all', '.osano-cm-accept'],
+  },
+  {
+    id: 'trustarc',
+    detect: ['.truste_overlay', '#truste-consent-track'],
+    reject: ['#truste-consent-required'],
+    accept: ['#truste-consent-button'],
+  },
+  {
+    id: 'sourcepoint',
+    detect: ['.sp_choice_type_11', '.sp_choice_type_13'],
+    reject: ['button.sp_choice_type_13', 'button[title="Reject"]', 'button[title="Reject all"]'],
+    accept: ['button.sp_choice_type_11', 'button[title="Accept"]', 'button[title="Accept all"]'],
+  },
+];
+
+async function findFrame(page, selectors) {
+  for (const frame of page.frames()) {
+    for (const selector of selectors) {
+      const count = await frame.locator(selector).count().catch(() => 0);
+      if (count > 0) {
+        return frame;
+      }
+    }
+  }
+  return null;
+}
+
+async function clickFirstVisible(frame, selectors, log) {
+  for (const selector of selectors) {
+    const button = frame.locator(selector).first();
+    if (!(await button.isVisible().catch(() => false))) continue;
+    try {
+      await button.click({ timeout: CLICK_TIMEOUT });
+      return selector;
+    } catch (err) {
+      log.debug('consent button click failed', { selector, err });
+    }
+  }
+  return null;
+}
+
+export async function dismissConsent(page, { mode = 'reject', log = logger } = {}) {
+  const actions = mode === 'accept' ? ['accept', 'reject'] : ['reject', 'accept'];
+  for (const cmp of CMP_STRATEGIES) {
+    const frame = await findFrame(page, cmp.detect);
+    if (!frame) continue;
+    for (const action of actions) {
+      const selector = await clickFirstVisible(frame, cmp[action], log);
+      if (selector) {
+        log.info('consent banner dismissed', { cmp: cmp.id, action, selector });
+        return { cmp: cmp.id, action, selector };
+      }
+    }
+    log.warn('consent banner found but no button could be clicked', { cmp: cmp.id });
+    return { cmp: cmp.id, action: null, selector: null };
+  }
+  return null;
+}
+
+// Runs detectAccessBlocker and, when autoConsent is set and the page looks
+// walled by a consent banner, tries to dismiss it before checking again.
+export async function checkAccess(
+  page,
+  { requiredSelectors = [], blockerRules, autoConsent, log = logger } = {}
+) {
+  const blocker = await detectAccessBlocker(page, { requiredSelectors, blockerRules, log });
+  if (!blocker || !autoConsent || !CONSENT_BLOCKER_TYPES.includes(blocker.type)) {
+    return { blocker, consent: null };
+  }
+  const handled = await dismissConsent(page, {
+    mode: autoConsent === 'accept' ? 'accept' : 'reject',
+    log,
+  });
+  if (!handled || !handled.action) {
+    return { blocker, consent: handled ? { ...handled, dismissed: false } : null };
+  }
+
+  // Google's consent page redirects back to the original URL after a click.
+  await page.waitForTimeout(SETTLE_DELAY);
+  await page.waitForLoadState('domcontentloaded').catch(() => {});
+  if (requiredSelectors.length) {
+    await page
+      .waitForSelector(requiredSelectors.join(', '), { timeout: REQUIRED_WAIT })
+      .catch(() => {});
+  }
+  const remaining = await detectAccessBlocker(page, { requiredSelectors, blockerRules, log });
+  return {
+    blocker: remaining,
+    consent: { ...handled, dismissed: !remaining || remaining.type !== 'cookie' },
+  };
+}
@@ -0,0 +1,44 @@
+export class JobTimeoutError extends Error {
+  constructor({ phase, timeoutMs, elapsed }) {
+    super(`job exceeded its ${timeoutMs}ms budget while ${phase}`);
+    this.name = 'JobTimeoutError';
+    this.status = 504;
+    this.details = { timedOut: true, phase, timeoutMs, elapsed };
+  }
+}
+
+export class JobCancelledError extends Error {
+  constructor(reason = 'client disconnected') {
+    super(`job cancelled: ${reason}`);
+    this.name = 'JobCancelledError';
+    this.status = 499;
+    this.details = { cancelled: true };
+  }
+}
+
+export class HostThrottledError extends Error {
+  constructor({ host, wait }) {
+    super(`${host} is throttled for another ${wait}ms, longer than maxWait`);
+    this.name = 'HostThrottledError';
+    this.status = 429;
+    this.details = { throttled: true, host, retryAfter: Math.ceil(wait / 1000) };
+  }
+}
+
+export class StepFailedError extends Error {
+  constructor({ path, action, message }) {
+    super(`${path} (${action}) failed: ${message}`);
+    this.name = 'StepFailedError';
+    this.status = 422;
+    this.details = { failedStep: path, action };
+  }
+}
+
+export class ExtractFailedError extends Error {
+  constructor({ field, message }) {
+    super(`${field} could not be read: ${message}`);
+    this.name = 'ExtractFailedError';
+    this.status = 422;
+    this.details = { failedField: field };
+  }
+}
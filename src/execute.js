@@ -0,0 +1,233 @@
+import { resolveProfileId, runJob } from './profiles.js';
+import { getHandler } from './handlers/index.js';
+import { recordJob } from './metrics.js';
+import { logger } from './logger.js';
+import { JOB_TIMEOUT } from './config.js';
+import { JobTimeoutError, JobCancelledError } from './errors.js';
+import { CONSENT_MODES } from './consent.js';
+import { validateRuleOverrides } from './blocker-rules.js';
+import { parseProxyUrl } from './proxies.js';
+import { waitForHost, reportHostOutcome } from './politeness.js';
+import { cachePolicy, lookupResult, storeResult } from './cache.js';
+import { shouldCapture, recordPageActivity, saveArtifacts } from './artifacts.js';
+
+export function prepareJob(type, payload) {
+  const handler = getHandler(type);
+  if (!handler) {
+    return { error: `unknown job type "${type}"` };
+  }
+  const body = payload && typeof payload === 'object' ? payload : {};
+  const error = handler.validate(body);
+  if (error) {
+    return { error };
+  }
+  const profileId = resolveProfileId(body.profileId);
+  if (!profileId) {
+    return { error: 'profileId is invalid' };
+  }
+  if (
+    body.timeoutMs !== undefined &&
+    !(typeof body.timeoutMs === 'number' && Number.isFinite(body.timeoutMs) && body.timeoutMs > 0)
+  ) {
+    return { error: 'timeoutMs must be a positive number' };
+  }
+  if (
+    body.autoConsent !== undefined &&
+    typeof body.autoConsent !== 'boolean' &&
+    !CONSENT_MODES.includes(body.autoConsent)
+  ) {
+    return { error: `autoConsent must be a boolean or one of ${CONSENT_MODES.join(', ')}` };
+  }
+  if (
+    body.maxWait !== undefined &&
+    !(typeof body.maxWait === 'number' && Number.isFinite(body.maxWait) && body.maxWait >= 0)
+  ) {
+    return { error: 'maxWait must be a non-negative number' };
+  }
+  if (
+    body.maxAge !== undefined &&
+    !(typeof body.maxAge === 'number' && Number.isFinite(body.maxAge) && body.maxAge >= 0)
+  ) {
+    return { error: 'maxAge must be a non-negative number' };
+  }
+  if (body.artifacts !== undefined && typeof body.artifacts !== 'boolean') {
+    return { error: 'artifacts must be a boolean' };
+  }
+  if (body.noCache !== undefined && typeof body.noCache !== 'boolean') {
+    return { error: 'noCache must be a boolean' };
+  }
+  if (body.proxy !== undefined && !parseProxyUrl(body.proxy)) {
+    return { error: 'proxy must be an http(s):// or socks5:// URL with host and port' };
+  }
+  const rulesError = validateRuleOverrides(body.blockerRules);
+  if (rulesError) {
+    return { error: rulesError };
+  }
+  return { handler, payload: body, profileId };
+}
+
+export function describeJob(job) {
+  const { handler, payload, profileId } = job;
+  const fields = { route: handler.route, profileId };
+  if (payload.query) {
+    fields.query = payload.query;
+  }
+  if (payload.url) {
+    try {
+      fields.host = new URL(payload.url).host;
+    } catch (_err) {
+      fields.host = null;
+    }
+  }
+  return fields;
+}
+
+export async function executeJob(job, { onStart, priority, signal, keyId, log = logger } = {}) {
+  const { handler, payload, profileId } = job;
+  const target = describeJob(job);
+  const jobLog = log.child(target);
+  const started = Date.now();
+  const cache = cachePolicy(job);
+  if (cache) {
+    const cached = await lookupResult(handler.route, cache);
+    if (cached) {
+      jobLog.info('job served from cache', { cacheAge: cached.cache.age });
+      return cached;
+    }
+  }
+  const timeoutMs = payload.timeoutMs || JOB_TIMEOUT;
+  const budget = new AbortController();
+  let phase = 'queued';
+  const setPhase = (next) => {
+    if (!budget.signal.aborted) {
+      phase = next;
+    }
+  };
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        budget.abort(new JobTimeoutError({ phase, timeoutMs, elapsed: Date.now() - started }));
+      }, timeoutMs)
+    : null;
+  const host = target.host || handler.host;
+  let activity = null;
+  let artifactId = null;
+  const forwardAbort = () => budget.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      forwardAbort();
+    } else {
+      signal.addEventListener('abort', forwardAbort, { once: true });
+    }
+  }
+
+  try {
+    const result = await runJob(
+      profileId,
+      async (page, network) => {
+        budget.signal.throwIfAborted();
+        // The host slot is taken once the job holds a page, so time spent
+        // behind other jobs on the profile does not bunch up navigations.
+        const throttle = await waitForHost(host, {
+          maxWait: payload.maxWait,
+          signal: budget.signal,
+          log: jobLog,
+        });
+        if (onStart) {
+          onStart();
+        }
+        jobLog.debug('job started', { queuedFor: Date.now() - started });
+        // Closing the page is the only way to interrupt a pending goto/evaluate;
+        // the pool replaces it on release.
+        const abortPage = () => page.close().catch(() => {});
+        budget.signal.addEventListener('abort', abortPage, { once: true });
+        activity = shouldCapture(payload) ? recordPageActivity(page) : null;
+        const capture = async (fields) => {
+          artifactId = await saveArtifacts(
+            page,
+            activity,
+            { ...target, keyId, phase, ...fields },
+            jobLog
+          ).catch((err) => {
+            jobLog.warn('saving failure artifacts failed', { err });
+            return null;
+          });
+        };
+        try {
+          const result = await handler.run({
+            page,
+            payload,
+            profileId,
+            log: jobLog,
+            setPhase,
+            httpFetch: network.fetch,
+            signal: budget.signal,
+            deadline: timeoutMs ? started + timeoutMs : Infinity,
+          });
+          if (activity && result && result.blocked) {
+            await capture({ reason: 'blocked', blocker: result.blocker.type });
+          }
+          return (
+            result && {
+              ...result,
+              ...(artifactId && { artifactId }),
+              proxy: network.proxy,
+              throttle,
+            }
+          );
+        } catch (error) {
+          if (activity) {
+            const failure = budget.signal.aborted ? budget.signal.reason : error;
+            await capture({
+              reason: budget.signal.aborted ? 'timeout' : 'error',
+              error: failure.message,
+            });
+          }
+          throw error;
+        } finally {
+          budget.signal.removeEventListener('abort', abortPage);
+        }
+      },
+      {
+        priority,
+        signal: budget.signal,
+        host,
+        proxy: payload.proxy,
+      }
+    );
+    recordJob(handler.route, Date.now() - started, result);
+    reportHostOutcome(host, result && result.blocked ? result.blocker : null, jobLog);
+    jobLog.info('job finished', {
+      duration: Date.now() - started,
+      outcome: result && result.blocked ? 'blocked' : 'success',
+      blocker: result && result.blocked ? result.blocker.type : undefined,
+    });
+    if (cache) {
+      const stored = storeResult(handler.route, cache, result, jobLog);
+      return { ...result, cache: { hit: false, key: cache.key, stored } };
+    }
+    return result;
+  } catch (error) {
+    const failure = budget.signal.aborted ? budget.signal.reason : error;
+    // A timed-out job is answered before its artifacts are written; the id is
+    // reserved up front so the response can point at them anyway.
+    if (artifactId || (activity && budget.signal.aborted)) {
+      failure.details = { ...failure.details, artifactId: activity.id };
+    }
+    recordJob(handler.route, Date.now() - started, null, failure);
+    if (failure instanceof JobCancelledError) {
+      jobLog.info('job cancelled', { duration: Date.now() - started, reason: failure.message });
+      throw failure;
+    }
+    jobLog.error('job failed', {
+      duration: Date.now() - started,
+      phase: failure.details ? failure.details.phase : undefined,
+      err: failure,
+    });
+    throw failure;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', forwardAbort);
+    }
+  }
+}
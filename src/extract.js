@@ -0,0 +1,290 @@
+import { ExtractFailedError } from './errors.js';
+
+const MAX_FIELDS = 100;
+const MAX_DEPTH = 3;
+const TRANSFORMS = ['trim', 'number', 'price', 'url', 'date'];
+const MAX_PATTERN_LENGTH = 200;
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+
+function checkTransform(transform, label) {
+  if (typeof transform === 'string') {
+    return TRANSFORMS.includes(transform)
+      ? null
+      : `${label} must be one of ${TRANSFORMS.join(', ')} or { regex }`;
+  }
+  if (!transform || typeof transform !== 'object' || !isString(transform.regex)) {
+    return `${label} must be one of ${TRANSFORMS.join(', ')} or { regex }`;
+  }
+  if (transform.regex.length > MAX_PATTERN_LENGTH) {
+    return `${label}.regex must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (transform.flags !== undefined && typeof transform.flags !== 'string') {
+    return `${label}.flags must be a string`;
+  }
+  try {
+    new RegExp(transform.regex, transform.flags);
+  } catch (err) {
+    return `${label}.regex is invalid: ${err.message}`;
+  }
+  const { group } = transform;
+  if (group !== undefined && !(Number.isInteger(group) && group >= 0)) {
+    return `${label}.group must be a non-negative integer`;
+  }
+  return null;
+}
+
+function checkField(field, label, depth) {
+  if (!field || typeof field !== 'object' || Array.isArray(field)) {
+    return `${label} must be an object`;
+  }
+  if (!isString(field.name)) {
+    return `${label}.name is required`;
+  }
+  // Inside `fields` a missing selector reads the item element itself.
+  const nested = depth > 0;
+  if (!(isString(field.selector) || (nested && field.selector === undefined))) {
+    return `${label}.selector is required`;
+  }
+  if (field.attr !== undefined && !isString(field.attr)) {
+    return `${label}.attr must be a string`;
+  }
+  if (field.all !== undefined && typeof field.all !== 'boolean') {
+    return `${label}.all must be a boolean`;
+  }
+  if (field.fields !== undefined) {
+    if (field.attr !== undefined || field.transform !== undefined) {
+      return `${label} cannot combine fields with attr or transform`;
+    }
+    if (depth + 1 >= MAX_DEPTH) {
+      return `${label} nests fields deeper than ${MAX_DEPTH} levels`;
+    }
+    const error = checkFields(field.fields, `${label}.fields`, depth + 1);
+    if (error) return error;
+  }
+  if (field.transform !== undefined) {
+    for (const [index, transform] of [].concat(field.transform).entries()) {
+      const error = checkTransform(transform, `${label}.transform[${index}]`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+function checkFields(fields, label, depth) {
+  if (!Array.isArray(fields) || !fields.length) {
+    return `${label} must be a non-empty array`;
+  }
+  const names = new Set();
+  for (const [index, field] of fields.entries()) {
+    const error = checkField(field, `${label}[${index}]`, depth);
+    if (error) return error;
+    if (names.has(field.name)) {
+      return `${label}[${index}].name "${field.name}" is used twice`;
+    }
+    names.add(field.name);
+  }
+  return null;
+}
+
+const countFields = (fields) =>
+  fields.reduce((sum, field) => sum + 1 + (field.fields ? countFields(field.fields) : 0), 0);
+
+export function validateExtract(extract) {
+  if (extract === undefined || (Array.isArray(extract) && !extract.length)) return null;
+  const error = checkFields(extract, 'extract', 0);
+  if (error) return error;
+  if (countFields(extract) > MAX_FIELDS) {
+    return `extract may contain at most ${MAX_FIELDS} fields`;
+  }
+  return null;
+}
+
+// Runs the transforms in order; a step that finds nothing ends the chain
+// with null. runExtract also sends it into the page, so it must not reference
+// anything outside its own body.
+export function applyTransforms(value, transforms, { baseUrl } = {}) {
+  const isBlank = (input) => input === null || input === undefined || input === '';
+  const currencyPattern = /(?:[A-Z]{1,2})?[$€£¥₹₩₽₺₪฿]|\b[A-Z]{3}\b/;
+  // Digit groups may be split by "," "." or, before exactly three digits, by
+  // spaces and apostrophes ("1 234,50", "1'234.50").
+  const numberPattern = /-?\d+(?:(?:[.,]|[\s'](?=\d{3}\b))\d+)*/;
+
+  const parseNumber = (input) => {
+    if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+    const match = numberPattern.exec(String(input));
+    if (!match) return null;
+    let digits = match[0].replace(/[\s']/g, '');
+    const comma = digits.lastIndexOf(',');
+    const dot = digits.lastIndexOf('.');
+    let decimal = null;
+    if (comma !== -1 && dot !== -1) {
+      decimal = comma > dot ? ',' : '.';
+    } else if (comma !== -1 || dot !== -1) {
+      // A lone separator before three digits groups thousands: "1,234", "1.234".
+      const separator = comma !== -1 ? ',' : '.';
+      const parts = digits.split(separator);
+      const grouped = parts.length > 2 || (parts[1].length === 3 && !/^-?0$/.test(parts[0]));
+      decimal = grouped ? null : separator;
+    }
+    digits = decimal
+      ? digits.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.')
+      : digits.replace(/[.,]/g, '');
+    const number = Number(digits);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  const apply = (input, transform) => {
+    if (typeof transform === 'object') {
+      const match = new RegExp(transform.regex, transform.flags).exec(String(input));
+      if (!match) return null;
+      const group = transform.group !== undefined ? transform.group : Math.min(match.length - 1, 1);
+      return match[group] === undefined ? null : match[group];
+    }
+    switch (transform) {
+      case 'trim':
+        return String(input).replace(/\s+/g, ' ').trim();
+      case 'number':
+        return parseNumber(input);
+      case 'price': {
+        const amount = parseNumber(input);
+        const currency = currencyPattern.exec(String(input));
+        return amount === null ? null : { amount, currency: currency ? currency[0] : null };
+      }
+      case 'url':
+        try {
+          return String(input).trim() ? new URL(String(input).trim(), baseUrl).href : null;
+        } catch (_err) {
+          return null;
+        }
+      case 'date': {
+        const time = typeof input === 'number' ? input : Date.parse(String(input).trim());
+        return Number.isNaN(time) ? null : new Date(time).toISOString();
+      }
+      default:
+        throw new Error(`unknown transform "${transform}"`);
+    }
+  };
+
+  let result = value;
+  for (const transform of transforms === undefined ? [] : [].concat(transforms)) {
+    if (isBlank(result)) return null;
+    result = apply(result, transform);
+  }
+  return result;
+}
+
+// Runs inside the page: must not reference anything outside its own body.
+// `transform` is applyTransforms, passed in by runExtract. An unusable
+// selector comes back as `failed` instead of throwing.
+function collectFields({ fields }, transform) {
+  const isBlank = (value) => value === null || value === undefined || value === '';
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const SKIPPED = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+  const byXpath = (root, expression) => {
+    const snapshot = document.evaluate(
+      expression,
+      root,
+      null,
+      XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+      null
+    );
+    const nodes = [];
+    for (let i = 0; i < snapshot.snapshotLength; i += 1) {
+      nodes.push(snapshot.snapshotItem(i));
+    }
+    return nodes;
+  };
+
+  // Like Playwright's text= engine: case-insensitive substring, or an exact
+  // match in quotes. Only the innermost matching elements are returned.
+  const byText = (root, wanted) => {
+    const exact = /^".*"$/.test(wanted);
+    const needle = clean(exact ? wanted.slice(1, -1) : wanted);
+    const matches = (node) => {
+      const text = clean(node.textContent);
+      return exact ? text === needle : text.toLowerCase().includes(needle.toLowerCase());
+    };
+    return Array.from(root.querySelectorAll('*')).filter(
+      (node) =>
+        !SKIPPED.includes(node.tagName) &&
+        matches(node) &&
+        !Array.from(node.children).some((child) => matches(child))
+    );
+  };
+
+  const find = (root, selector, all) => {
+    if (!selector) return [root];
+    let nodes;
+    if (selector.startsWith('xpath=')) {
+      nodes = byXpath(root, selector.slice('xpath='.length));
+    } else if (/^\.{0,2}\//.test(selector)) {
+      nodes = byXpath(root, selector);
+    } else if (selector.startsWith('text=')) {
+      nodes = byText(root, selector.slice('text='.length).trim());
+    } else {
+      const css = selector.startsWith('css=') ? selector.slice('css='.length) : selector;
+      nodes = all ? Array.from(root.querySelectorAll(css)) : [root.querySelector(css)];
+    }
+    return (all ? nodes : nodes.slice(0, 1)).filter(Boolean);
+  };
+
+  // XPath can select attribute and text nodes; those read as their value.
+  const read = (node, attr) => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.textContent;
+    if (attr === 'innerText') return node.innerText;
+    if (['textContent', 'innerHTML', 'outerHTML'].includes(attr)) return node[attr];
+    return node.getAttribute(attr);
+  };
+
+  let failed = null;
+  const collect = (root, list, label) => {
+    const data = {};
+    for (const [index, field] of list.entries()) {
+      const path = `${label}[${index}]`;
+      let nodes;
+      try {
+        nodes = find(root, field.selector, field.all);
+      } catch (err) {
+        failed = { field: path, message: err.message };
+        throw err;
+      }
+      const withDefault = (value) =>
+        isBlank(value) && field.default !== undefined ? field.default : value;
+      const value = (node) =>
+        withDefault(
+          field.fields
+            ? collect(node, field.fields, `${path}.fields`)
+            : transform(read(node, field.attr || 'innerText'), field.transform, {
+                baseUrl: document.baseURI,
+              })
+        );
+      data[field.name] = field.all
+        ? nodes.map(value)
+        : nodes.length
+          ? value(nodes[0])
+          : withDefault(null);
+    }
+    return data;
+  };
+
+  try {
+    return { data: collect(document, fields, 'extract') };
+  } catch (err) {
+    if (failed) return { failed };
+    throw err;
+  }
+}
+
+// Caller-supplied regexes run in the page rather than in the service: a
+// pattern that backtracks forever stalls only this page, which the job budget
+// then closes.
+export async function runExtract(page, fields) {
+  const script = `(${collectFields})(${JSON.stringify({ fields })}, ${applyTransforms})`;
+  const { data, failed } = await page.evaluate(script);
+  if (failed) {
+    throw new ExtractFailedError(failed);
+  }
+  return data;
+}
@@ -0,0 +1,46 @@
+// Page-side extractor for Google Maps search results. It runs inside the
+// page via page.evaluate, so it must not reference anything outside its body.
+
+async function extractPlaces({ maxResults, enableScroll }) {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const collected = new Map();
+
+  const scrape = () => {
+    const cards = Array.from(document.querySelectorAll('a.hfpxzc[href*="/place/"]'));
+    for (const card of cards) {
+      const title = card.getAttribute('aria-label') || null;
+      const href = card.href || null;
+      if (!href || !title) continue;
+      if (collected.has(href)) continue;
+      // The link is an empty overlay; the details sit beside it in the card.
+      const container = card.closest('.Nv2PK') || card;
+      const ratingEl = container.querySelector('.MW4etd');
+      const reviewsEl = container.querySelector('.UY7F9');
+      const descriptor = container.querySelector('.W4Efsd');
+      collected.set(href, {
+        title,
+        href,
+        rating: ratingEl ? ratingEl.innerText : null,
+        reviews: reviewsEl ? reviewsEl.innerText : null,
+        descriptor: descriptor ? descriptor.innerText : null,
+      });
+    }
+  };
+
+  const panel = document.querySelector('.m6QErb.DxyBCb') || document.querySelector('.m6QErb');
+  let iterations = 0;
+  while (collected.size < maxResults && enableScroll && panel && iterations < 20) {
+    scrape();
+    panel.scrollBy(0, panel.clientHeight);
+    await sleep(600);
+    iterations += 1;
+  }
+
+  scrape();
+  return Array.from(collected.values()).slice(0, maxResults);
+}
+
+export async function parseMaps(page, { limit = 20, scroll = true } = {}) {
+  const results = await page.evaluate(extractPlaces, { maxResults: limit, enableScroll: scroll });
+  return { results };
+}
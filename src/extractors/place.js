@@ -0,0 +1,126 @@
+// Page-side extractors for a Google Maps place panel. Like maps.js, the
+// extract functions run inside the page via page.evaluate and must not
+// reference anything outside their own body.
+
+function extractPlace() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const main = document.querySelector('[role="main"]') || document.body;
+  const textOf = (selector) => {
+    const node = main.querySelector(selector);
+    return node ? clean(node.innerText) || null : null;
+  };
+  const toNumber = (value) => {
+    if (!value) return null;
+    const match = value.match(/[\d.,]+/);
+    return match ? Number(match[0].replace(/[.,](?=\d{3}\b)/g, '').replace(',', '.')) : null;
+  };
+  // Contact rows are buttons or links tagged with data-item-id; the visible
+  // text sits in .Io6YTe, the aria-label repeats it behind a "Label: " prefix.
+  const itemText = (selector) => {
+    const node = main.querySelector(selector);
+    if (!node) return null;
+    const text = node.querySelector('.Io6YTe');
+    if (text && clean(text.innerText)) return clean(text.innerText);
+    return clean((node.getAttribute('aria-label') || '').replace(/^[^:]+:\s*/, '')) || null;
+  };
+
+  const ratingNode = main.querySelector('.F7nice span[aria-hidden="true"]');
+  const reviewsNode = main.querySelector('.F7nice span[aria-label*="review"]');
+  const priceNode = main.querySelector('span[aria-label^="Price"]');
+  const website = main.querySelector('a[data-item-id="authority"]');
+  const phoneNode = main.querySelector('[data-item-id^="phone:tel:"]');
+
+  const hours = [];
+  for (const row of main.querySelectorAll('table.eK4R0e tr, .t39EBf table tr')) {
+    const day = row.querySelector('td:first-child');
+    const times = row.querySelector('td:nth-child(2)');
+    if (!day || !times) continue;
+    const value = times.getAttribute('aria-label') || times.innerText;
+    hours.push({ day: clean(day.innerText), hours: clean(value).replace(/\s*,\s*/g, ', ') });
+  }
+  if (!hours.length) {
+    // "Monday, 7 AM to 5 PM; Tuesday, 7 AM to 5 PM. Hide open hours for the week"
+    const summary = main.querySelector('.t39EBf[aria-label], .OqCZI [aria-label*=";"]');
+    const label = summary ? summary.getAttribute('aria-label').replace(/\.\s*Hide.*$/, '') : '';
+    for (const part of label.split(';')) {
+      const [day, ...rest] = part.split(',');
+      if (clean(day) && rest.length) {
+        hours.push({ day: clean(day), hours: clean(rest.join(',')) });
+      }
+    }
+  }
+
+  let photoCount = null;
+  for (const node of main.querySelectorAll('button[aria-label], .YkuOqf')) {
+    const text = `${node.getAttribute('aria-label') || ''} ${node.innerText || ''}`;
+    const match = text.match(/([\d.,]+)\s+photos?\b/i);
+    if (match) {
+      photoCount = toNumber(match[1]);
+      break;
+    }
+  }
+
+  const highlights = Array.from(main.querySelectorAll('.LTs0Rc[aria-label], .E0DTEd [aria-label]'))
+    .map((node) => clean(node.getAttribute('aria-label')))
+    .filter((label, index, all) => label && all.indexOf(label) === index);
+
+  return {
+    title: textOf('h1.DUwDvf') || textOf('h1'),
+    category: textOf('button.DkEaL') || textOf('.skqShb .fontBodyMedium span button'),
+    rating: ratingNode ? toNumber(ratingNode.innerText) : null,
+    reviews: reviewsNode ? toNumber(reviewsNode.getAttribute('aria-label')) : null,
+    priceLevel: priceNode ? clean(priceNode.innerText) || null : null,
+    address: itemText('[data-item-id="address"]'),
+    phone: phoneNode ? phoneNode.getAttribute('data-item-id').slice('phone:tel:'.length) : null,
+    website: website ? website.href : null,
+    plusCode: itemText('[data-item-id="oloc"]'),
+    hours: hours.length ? hours : null,
+    photoCount,
+    attributes: highlights.length ? { Highlights: highlights } : {},
+  };
+}
+
+// The About tab groups attributes under headings such as "Accessibility" or
+// "Service options"; unavailable ones are drawn crossed out and skipped.
+function extractAbout() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const attributes = {};
+  for (const section of document.querySelectorAll('.iP2t7d')) {
+    const heading = section.querySelector('h2, .iL3Qke');
+    const items = Array.from(section.querySelectorAll('li span[aria-label]'))
+      .filter((node) => !/^No |^Doesn't |^Not /i.test(node.getAttribute('aria-label')))
+      .map((node) => clean(node.innerText) || clean(node.getAttribute('aria-label')))
+      .filter(Boolean);
+    if (heading && items.length) {
+      attributes[clean(heading.innerText)] = items;
+    }
+  }
+  return attributes;
+}
+
+// Place URLs carry the pin as !3d<lat>!4d<lng>; the @lat,lng part is the
+// viewport centre and only a fallback.
+export function parseCoordinates(url) {
+  const pin = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/.exec(url || '');
+  const viewport = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/.exec(url || '');
+  const match = pin || viewport;
+  return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+}
+
+export async function parsePlace(page, { about = true, timeout = 3000 } = {}) {
+  const place = await page.evaluate(extractPlace);
+  if (about) {
+    const tab = page.locator('button[role="tab"][aria-label^="About"]').first();
+    if (await tab.count()) {
+      try {
+        await tab.click({ timeout });
+        await page.waitForSelector('.iP2t7d', { timeout });
+        const attributes = await page.evaluate(extractAbout);
+        place.attributes = { ...place.attributes, ...attributes };
+      } catch (_err) {
+        // keep the overview highlights
+      }
+    }
+  }
+  return { ...place, coordinates: parseCoordinates(page.url()) };
+}
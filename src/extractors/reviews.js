@@ -0,0 +1,97 @@
+// Page-side extractor for the reviews tab of a Google Maps place. Like
+// maps.js it scrolls the results panel from inside the page, so it must not
+// reference anything outside its own body.
+
+async function extractReviews({ maxResults, cutoff, enableScroll, maxIdle, now }) {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const units = {
+    second: 1000,
+    minute: 60000,
+    hour: 3600000,
+    day: 86400000,
+    week: 604800000,
+    month: 2592000000,
+    year: 31536000000,
+  };
+  // Google only shows "3 weeks ago"; turn it into an approximate date.
+  const toDate = (text) => {
+    const match = /\b(a|an|one|\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago/i.exec(text);
+    if (!match) return null;
+    const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+    return new Date(now - count * units[match[2].toLowerCase()]).toISOString();
+  };
+  const textOf = (root, selector) => {
+    const node = root.querySelector(selector);
+    return node ? clean(node.innerText) || null : null;
+  };
+  const collected = new Map();
+  let reachedCutoff = false;
+
+  const scrape = async () => {
+    // "More" expands the text in place; give it a moment to render.
+    const more = document.querySelectorAll('.jftiEf button.w8nwRe');
+    more.forEach((button) => button.click());
+    if (more.length) {
+      await sleep(300);
+    }
+    for (const node of document.querySelectorAll('.jftiEf[data-review-id]')) {
+      const id = node.getAttribute('data-review-id');
+      if (collected.has(id)) continue;
+      const stars = node.querySelector('.kvMYJc[aria-label], [role="img"][aria-label*="star"]');
+      const rating = stars ? /\d+(?:[.,]\d+)?/.exec(stars.getAttribute('aria-label')) : null;
+      const date = textOf(node, '.rsqaWe') || textOf(node, '.xRkPPb');
+      const publishedAt = toDate(date || '');
+      if (cutoff && publishedAt && publishedAt < cutoff) {
+        reachedCutoff = true;
+        continue;
+      }
+      const profile = node.querySelector('button[data-href], a[href*="/contrib/"]');
+      const response = node.querySelector('.CDe7pd');
+      const body = Array.from(node.querySelectorAll('.wiI7pd')).find(
+        (candidate) => !candidate.closest('.CDe7pd')
+      );
+      collected.set(id, {
+        id,
+        author: textOf(node, '.d4r55'),
+        authorUrl: profile ? profile.getAttribute('data-href') || profile.href : null,
+        rating: rating ? Number(rating[0].replace(',', '.')) : null,
+        date,
+        publishedAt,
+        text: body ? clean(body.innerText) || null : null,
+        ownerResponse: response
+          ? { text: textOf(response, '.wiI7pd'), date: textOf(response, '.DZSIDd') }
+          : null,
+      });
+    }
+  };
+
+  // Same loop as the /maps list: scroll the panel until enough reviews are
+  // loaded, the cutoff is passed, or nothing new arrives for a while.
+  const panel = document.querySelector('.m6QErb.DxyBCb') || document.querySelector('.m6QErb');
+  let idle = 0;
+  while (collected.size < maxResults && !reachedCutoff && enableScroll && panel && idle < maxIdle) {
+    const before = collected.size;
+    await scrape();
+    panel.scrollBy(0, panel.scrollHeight);
+    await sleep(800);
+    idle = collected.size > before ? 0 : idle + 1;
+  }
+
+  await scrape();
+  return {
+    reviews: Array.from(collected.values()).slice(0, maxResults),
+    reachedCutoff,
+  };
+}
+
+// `now` anchors the relative dates; fixtures pin it to when they were saved.
+export async function parseReviews(page, { limit = 50, since, scroll = true, now } = {}) {
+  return page.evaluate(extractReviews, {
+    maxResults: limit,
+    cutoff: since ? new Date(since).toISOString() : null,
+    enableScroll: scroll,
+    maxIdle: 5,
+    now: now ? Date.parse(now) : Date.now(),
+  });
+}
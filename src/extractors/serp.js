@@ -0,0 +1,503 @@
+// Page-side extractors for Google search result pages. Each function runs
+// inside the page via page.evaluate, so it must not reference anything
+// outside its own body.
+
+function extractResults({ maxResults }) {
+  const snippetSelectors = [
+    '.VwiC3b',
+    '.yXK7lf',
+    '.MUxGbd span',
+    '.st',
+    '.IZ6rdc span',
+    '[data-sncf="1"] span',
+    '[data-sncf] span',
+    '.NeXo2d',
+    '.BNeawe span',
+    '.P7MfOc',
+    '.lyLwlc',
+    '.NJo7tc',
+    '.s3v9rd',
+    '.GI74Re',
+    '.HGKmee',
+    '.uGCjwf',
+    '.k4DMHe',
+    '.V2vBId',
+    '.p1CInd span',
+    '.wFGQsf span',
+    'div[data-content-feature="1"]',
+  ];
+  const siteSelectors = [
+    '.tjvcx',
+    '.TbwUpd',
+    '.UPmit',
+    '.iUh30',
+    '.qLRx3b',
+    '.GvPZzd',
+    '.dk9qI',
+    '.B0Okf.hcFEHe',
+    'cite',
+  ];
+  const clean = (value) =>
+    (value || '')
+      .replace(/\s+/g, ' ')
+      .replace(/\s?\u00b7\s?Translate this page/gi, '')
+      .trim();
+  const normalizeLines = (text) =>
+    (text || '')
+      .split('\n')
+      .map((line) => clean(line))
+      .filter(Boolean);
+  const pickLineSnippet = (lines, title, host) => {
+    if (!lines || !lines.length) return null;
+    const filtered = lines.filter((line) => {
+      const lower = line.toLowerCase();
+      if (!line) return false;
+      if (title && line === title.trim()) return false;
+      if (host && lower.includes(host.toLowerCase())) return false;
+      if (lower.startsWith('https://') || lower.startsWith('http://')) return false;
+      if (line.includes('›')) return false;
+      if (/^[\d.,]+\+?\s*(views?|seguidores?|followers?|comentarios?)/i.test(line)) return false;
+      if (/^\d+[:.]\d{2}/.test(line)) return false;
+      if (/^(translate this page|cached|string)/i.test(line)) return false;
+      return true;
+    });
+    if (!filtered.length) return null;
+    return filtered.join(' ').trim();
+  };
+  const isVideoResult = (node) => {
+    if (!node) return false;
+    if (node.classList.contains('PmEWq') || node.classList.contains('ULSxyf')) {
+      return true;
+    }
+    if (
+      node.querySelector(
+        '.gY2b2c, .Woharf, .ct3k2c, .cMjHbj, [data-vidref], [data-lpage*="video"], [data-playable-url]'
+      )
+    ) {
+      return true;
+    }
+    const carouselHost = node.closest('.mnr-c.g-blk, .cMjHbj, .ULSxyf');
+    if (carouselHost && carouselHost.querySelector('.gY2b2c')) {
+      return true;
+    }
+    const anchor = node.querySelector('a[href]');
+    if (anchor) {
+      const label = (anchor.getAttribute('aria-label') || '').toLowerCase();
+      try {
+        const host = new URL(anchor.href).hostname.replace(/^www\./, '');
+        if (
+          (label.includes('video') || label.includes('play') || label.includes('watch')) &&
+          /(youtube\.com|youtu\.be|tiktok\.com|facebook\.com|dailymotion\.com)/.test(host)
+        ) {
+          return true;
+        }
+      } catch (err) {
+        // ignore URL parse issues
+      }
+    }
+    return false;
+  };
+  const getSnippet = (root) => {
+    if (!root) return null;
+    for (const selector of snippetSelectors) {
+      const node = root.querySelector(selector);
+      if (node) {
+        const text = clean(node.innerText);
+        if (text) {
+          return text;
+        }
+      }
+    }
+    const attrSnippet = root.getAttribute && root.getAttribute('data-snippet');
+    if (attrSnippet) {
+      const text = clean(attrSnippet);
+      if (text) return text;
+    }
+    return null;
+  };
+
+  const rawCards = Array.from(
+    document.querySelectorAll(
+      '#search .g, #search .tF2Cxc, #search .Gx5Zad, #search .kvH3mc, #search .Ww4FFb, #search .hlcw0c'
+    )
+  );
+  const cards = [];
+  const seenNodes = new Set();
+  for (const node of rawCards) {
+    const wrapper =
+      (node.classList && node.classList.contains('g'))
+        ? node
+        : node.closest('.g, .tF2Cxc, .Gx5Zad, .Ww4FFb, .hlcw0c') || node;
+    if (!wrapper || seenNodes.has(wrapper)) continue;
+    seenNodes.add(wrapper);
+    cards.push(wrapper);
+  }
+
+  const seenLinks = new Set();
+  const items = [];
+  for (const card of cards) {
+    const h3 = card.querySelector('h3');
+    const linkEl = card.querySelector('a[href]');
+    if (!h3 || !linkEl || !linkEl.href) continue;
+    if (seenLinks.has(linkEl.href)) continue;
+    // Sources quoted in People also ask answers are not organic results.
+    if (card.closest('.related-question-pair')) continue;
+    if (isVideoResult(card)) continue;
+    seenLinks.add(linkEl.href);
+
+    const snippetScopes = [
+      card.querySelector('.IsZvec'),
+      card.querySelector('.yDYNvb'),
+      card.querySelector('.hlcw0c'),
+      card.querySelector('.Uroaid'),
+      card.querySelector('.kCrYT'),
+      card.querySelector('.VwiC3b'),
+      card.closest('.hlcw0c'),
+      card.parentElement,
+      card.nextElementSibling,
+      card,
+    ].filter(Boolean);
+
+    let snippet = null;
+    for (const scope of snippetScopes) {
+      snippet = getSnippet(scope);
+      if (snippet) break;
+    }
+
+    if (!snippet) {
+      let host = null;
+      try {
+        host = new URL(linkEl.href).hostname.replace(/^www\./, '');
+      } catch (err) {
+        host = null;
+      }
+      const fallbackScope = card.querySelector('.IsZvec, .yDYNvb, .hlcw0c, .Uroaid') || card;
+      const containers = [fallbackScope, card].filter(Boolean);
+      let fallbackText = null;
+      for (const container of containers) {
+        const candidate = pickLineSnippet(normalizeLines(container.innerText), h3.innerText, host);
+        if (candidate) {
+          fallbackText = candidate;
+          break;
+        }
+      }
+      if (!snippet && fallbackText) {
+        snippet = fallbackText;
+      }
+      if (!snippet) {
+        snippet = pickLineSnippet(normalizeLines(card.innerText), h3.innerText, host);
+      }
+    }
+
+    let sitePath = null;
+    for (const selector of siteSelectors) {
+      const siteNode = card.querySelector(selector);
+      if (siteNode) {
+        const text = clean(siteNode.innerText);
+        if (text) {
+          sitePath = text;
+          break;
+        }
+      }
+    }
+
+    items.push({
+      title: h3.innerText.trim(),
+      link: linkEl.href,
+      snippet,
+      sitePath,
+    });
+    if (items.length >= maxResults) break;
+  }
+  return items;
+}
+
+function extractTopStories() {
+  const container = document.querySelector('[aria-label="Top stories"]');
+  if (!container) return null;
+  const stories = Array.from(container.querySelectorAll('article, g-card, .SoaBEf')).map((story) => {
+    const headline = story.querySelector('h3, h4');
+    const link = story.querySelector('a');
+    const source = story.querySelector('.CEMjEf, .X5OiLe, .MbEPDb');
+    const time = story.querySelector('time');
+    return {
+      title: headline ? headline.innerText.trim() : null,
+      link: link ? link.href : null,
+      source: source ? source.innerText.trim() : null,
+      published: time ? time.getAttribute('datetime') || time.innerText.trim() : null,
+    };
+  });
+  return stories.filter((item) => item.title || item.link);
+}
+
+function extractAiOverview() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const rootSelectors = [
+    '#m-x-content',
+    '[data-attrid="wa:/gdu/ai_overview"]',
+    '[data-attrid="kc:/ai_overview"]',
+    '[data-immr="ai_mod"]',
+    '.D5ad8b',
+    '.h7Tj7e',
+  ];
+  let root = null;
+  for (const selector of rootSelectors) {
+    const candidate = document.querySelector(selector);
+    if (candidate) {
+      root = candidate;
+      break;
+    }
+  }
+  if (!root) {
+    const labelled = Array.from(document.querySelectorAll('[aria-label]')).find((el) =>
+      (el.getAttribute('aria-label') || '').toLowerCase().includes('ai overview')
+    );
+    if (labelled) {
+      root =
+        labelled.querySelector('#m-x-content') ||
+        labelled.closest('.D5ad8b, .YNk70c, .zQTmif') ||
+        labelled;
+    }
+  }
+  if (!root) return null;
+
+  const summaryNode =
+    root.querySelector('.s7d4ef, .X6JNf, .MUxGbd, .oUAP2d, .hgKElc, .z0yqbd, .g8Z8H, .N774kf') || root;
+  const summary = clean(summaryNode.innerText);
+  const bullets = Array.from(root.querySelectorAll('ol li, ul li'))
+    .map((li) => clean(li.innerText))
+    .filter(Boolean)
+    .slice(0, 6);
+  const citations = Array.from(root.querySelectorAll('a[href^="http"], a[data-url^="http"]'))
+    .map((link) => {
+      const href = link.href || link.getAttribute('data-url');
+      const title = clean(link.innerText) || link.getAttribute('aria-label') || href;
+      return { title, href };
+    })
+    .filter((item) => item.href)
+    .filter(
+      (item, idx, arr) =>
+        arr.findIndex((entry) => entry.href === item.href) === idx
+    )
+    .slice(0, 5);
+
+  if (!summary && !bullets.length && !citations.length) {
+    return null;
+  }
+
+  return {
+    summary,
+    bullets: bullets.length ? bullets : null,
+    citations,
+  };
+}
+
+function extractPeopleAlsoAsk() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const items = [];
+  for (const pair of document.querySelectorAll('.related-question-pair')) {
+    const questionNode = pair.querySelector('.CSkcDe, [role="button"] span, [role="heading"]');
+    const question = clean(questionNode ? questionNode.innerText : pair.getAttribute('data-q'));
+    if (!question || items.some((item) => item.question === question)) continue;
+    const answerNode = pair.querySelector('.hgKElc, .LGOjhe, .iKJnec, .wDYxhc .di3YZe');
+    const sourceLink = pair.querySelector('.yuRUbf a[href], .g a[href]');
+    const sourceTitle = sourceLink ? sourceLink.querySelector('h3') : null;
+    items.push({
+      question,
+      answer: answerNode ? clean(answerNode.innerText) || null : null,
+      source: sourceLink
+        ? { title: sourceTitle ? clean(sourceTitle.innerText) : null, link: sourceLink.href }
+        : null,
+    });
+  }
+  return items;
+}
+
+function extractRelatedSearches() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const links = document.querySelectorAll(
+    '#botstuff a.k8XOCe, #botstuff .s75CSd a, #botstuff a.ngTNl, #bres a[href*="/search"]'
+  );
+  const items = [];
+  for (const link of links) {
+    const query = clean(link.innerText);
+    if (!query || items.some((item) => item.query === query)) continue;
+    items.push({ query, link: link.href });
+  }
+  return items;
+}
+
+function extractKnowledgePanel() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const root = document.querySelector('.kp-wholepage, #rhs .kp-blk, #rhs [data-attrid="title"]');
+  if (!root) return null;
+  const panel = root.closest('#rhs') || root;
+  const textOf = (selector) => {
+    const node = panel.querySelector(selector);
+    return node ? clean(node.innerText) || null : null;
+  };
+  const title = textOf('[data-attrid="title"]') || textOf('h2');
+  if (!title) return null;
+  const sourceLink = panel.querySelector('.kno-rdesc a[href], [data-attrid="description"] a[href]');
+  const website = panel.querySelector(
+    'a[data-attrid="visit_official_site"], .kno-fb-ctx a.ab_button'
+  );
+  const attributes = {};
+  for (const row of panel.querySelectorAll('.wDYxhc[data-attrid^="kc:/"], .rVusze')) {
+    const label = row.querySelector('.w8qArf');
+    const value = row.querySelector('.LrzXr, .kno-fv');
+    const key = label ? clean(label.innerText).replace(/:$/, '') : '';
+    if (key && value && clean(value.innerText)) {
+      attributes[key] = clean(value.innerText);
+    }
+  }
+  let description = textOf('.kno-rdesc span') || textOf('[data-attrid="description"] span');
+  if (description && sourceLink) {
+    description = clean(description.replace(clean(sourceLink.innerText), ''));
+  }
+  return {
+    title,
+    type: textOf('[data-attrid="subtitle"]'),
+    description: description || null,
+    source: sourceLink ? { title: clean(sourceLink.innerText), link: sourceLink.href } : null,
+    website: website ? website.href : null,
+    attributes,
+  };
+}
+
+function extractAds() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const items = [];
+  for (const [position, selector] of [
+    ['top', '#tads'],
+    ['bottom', '#bottomads'],
+  ]) {
+    const block = document.querySelector(selector);
+    if (!block) continue;
+    for (const ad of block.querySelectorAll('[data-text-ad], .uEierd')) {
+      if (ad.parentElement.closest('[data-text-ad], .uEierd')) continue;
+      const heading = ad.querySelector('[role="heading"], .CCgQ5, h3');
+      const link = ad.querySelector('a[data-rw], a[href]');
+      if (!heading || !link) continue;
+      const displayUrl = ad.querySelector('.x2VHCd, .qzEoUe, cite');
+      const description = ad.querySelector('.MUxGbd, .Va3FIb, .yDYNvb');
+      items.push({
+        position,
+        title: clean(heading.innerText),
+        link: link.href,
+        displayUrl: displayUrl ? clean(displayUrl.innerText) || null : null,
+        description: description ? clean(description.innerText) || null : null,
+      });
+    }
+  }
+  return items;
+}
+
+function extractLocalPack() {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const places = document.querySelectorAll('#search .VkpGBb, #search .rllt__details');
+  const items = [];
+  const seen = new Set();
+  for (const node of places) {
+    const place = node.closest('.VkpGBb') || node;
+    if (seen.has(place)) continue;
+    seen.add(place);
+    const titleNode = place.querySelector('.dbg0pd, [role="heading"], .OSrXXb');
+    const title = titleNode ? clean(titleNode.innerText) : '';
+    if (!title) continue;
+    const details = place.querySelector('.rllt__details') || place;
+    const lines = details.innerText
+      .split('\n')
+      .map(clean)
+      .filter((line) => line && line !== title);
+    const ratingIndex = lines.findIndex((line) => /^\d[.,]\d/.test(line));
+    const ratingLine = ratingIndex >= 0 ? lines[ratingIndex] : '';
+    const rating = ratingLine.match(/^\d[.,]\d/);
+    const reviews = ratingLine.match(/\(([\d.,]+)\s*([KkMm])?\)/);
+    // "4.5(1.2K) · $$ · Coffee shop" followed by "123 Main St", or everything
+    // on the rating line: "4.4(812) · Cafe · 1026 Valencia St".
+    const parts = ratingLine
+      .split('·')
+      .map(clean)
+      .slice(1)
+      .filter((part) => part && !/^[$€£¥₹]+$/.test(part));
+    const onRatingLine = parts.length;
+    if (parts.length < 2 && lines[ratingIndex + 1]) {
+      parts.push(...lines[ratingIndex + 1].split('·').map(clean).filter(Boolean));
+    }
+    let reviewCount = null;
+    if (reviews) {
+      const scale = { k: 1e3, m: 1e6 }[(reviews[2] || '').toLowerCase()];
+      reviewCount = scale
+        ? Math.round(Number(reviews[1].replace(',', '.')) * scale)
+        : Number(reviews[1].replace(/[.,]/g, ''));
+    }
+    const website = place.querySelector('a.yYlJEf[href], a[data-website][href]');
+    items.push({
+      title,
+      rating: rating ? Number(rating[0].replace(',', '.')) : null,
+      reviews: reviewCount,
+      category: parts.length > 1 || onRatingLine ? parts[0] : null,
+      address: parts.length > 1 || !onRatingLine ? parts[parts.length - 1] || null : null,
+      website: website ? website.href : null,
+    });
+  }
+  return items;
+}
+
+// Clicks the first few People also ask questions so their answers load.
+// Google appends more questions on every click; those are left closed.
+async function expandPeopleAlsoAsk(page, { max = 4, timeout = 3000 } = {}) {
+  const pairs = page.locator('.related-question-pair');
+  const count = Math.min(await pairs.count(), max);
+  for (let index = 0; index < count; index += 1) {
+    await pairs
+      .nth(index)
+      .locator('[aria-expanded="false"]')
+      .first()
+      .click({ timeout })
+      .catch(() => {});
+  }
+  if (count) {
+    await page
+      .waitForFunction(
+        (expected) =>
+          document.querySelectorAll(
+            '.related-question-pair .hgKElc, .related-question-pair .LGOjhe'
+          ).length >= expected,
+        count,
+        { timeout }
+      )
+      .catch(() => {});
+  }
+}
+
+const orNull = (items) => (items && items.length ? items : null);
+
+export async function parseSerp(page, options = {}) {
+  const {
+    limit = 20,
+    includeTopStories = true,
+    includeAiOverview = true,
+    includePeopleAlsoAsk = true,
+    expandPeopleAlsoAsk: expand = false,
+    includeRelatedSearches = true,
+    includeKnowledgePanel = true,
+    includeAds = true,
+    includeLocalPack = true,
+  } = options;
+  if (includePeopleAlsoAsk && expand) {
+    await expandPeopleAlsoAsk(page);
+  }
+  const evaluate = (include, extractor, arg) => (include ? page.evaluate(extractor, arg) : null);
+  return {
+    results: await page.evaluate(extractResults, { maxResults: limit }),
+    topStories: orNull(await evaluate(includeTopStories, extractTopStories)),
+    aiOverview: await evaluate(includeAiOverview, extractAiOverview),
+    peopleAlsoAsk: orNull(await evaluate(includePeopleAlsoAsk, extractPeopleAlsoAsk)),
+    relatedSearches: orNull(await evaluate(includeRelatedSearches, extractRelatedSearches)),
+    knowledgePanel: await evaluate(includeKnowledgePanel, extractKnowledgePanel),
+    ads: orNull(await evaluate(includeAds, extractAds)),
+    localPack: orNull(await evaluate(includeLocalPack, extractLocalPack)),
+  };
+}
@@ -0,0 +1,172 @@
+// Page-side extractors for the News, Images, Videos and Shopping tabs of
+// Google search. Like serp.js, each function runs inside the page via
+// page.evaluate and must not reference anything outside its own body.
+
+function extractNews({ maxResults }) {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const textOf = (root, selectors) => {
+    for (const selector of selectors) {
+      const node = root.querySelector(selector);
+      const text = node ? clean(node.innerText) : '';
+      if (text) return text;
+    }
+    return null;
+  };
+  const cards = new Set(
+    Array.from(document.querySelectorAll('#search .SoaBEf, #search a.WlydOe')).map(
+      (node) => node.closest('.SoaBEf') || node
+    )
+  );
+  const seen = new Set();
+  const items = [];
+  for (const card of cards) {
+    const link = card.matches('a[href]') ? card : card.querySelector('a[href]');
+    const title = textOf(card, ['[role="heading"]', '.n0jPhd', '.mCBkyc', 'h3']);
+    if (!link || !link.href || !title || seen.has(link.href)) continue;
+    seen.add(link.href);
+    items.push({
+      title,
+      link: link.href,
+      source: textOf(card, ['.MgUUmf span', '.NUnG9d span', '.CEMjEf span', '.MgUUmf']),
+      snippet: textOf(card, ['.GI74Re', '.Y3v8qd']),
+      published: textOf(card, ['.OSrXXb span', '.rbYSKb span', '.LfVVr', 'time']),
+    });
+    if (items.length >= maxResults) break;
+  }
+  return items;
+}
+
+function extractImages({ maxResults }) {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const textOf = (root, selectors) => {
+    for (const selector of selectors) {
+      const node = root.querySelector(selector);
+      const text = node ? clean(node.innerText) : '';
+      if (text) return text;
+    }
+    return null;
+  };
+  const isGoogle = (href) => {
+    try {
+      return /(^|\.)google\./.test(new URL(href).hostname);
+    } catch (_err) {
+      return true;
+    }
+  };
+  const toNumber = (value) => (value && /^\d+$/.test(value) ? Number(value) : null);
+  const tiles = Array.from(
+    document.querySelectorAll(
+      '#search [data-lpage], #islrg .isv-r, #search .eA0Zlc, #search [data-attrid="images universal"]'
+    )
+  );
+  const seen = new Set();
+  const items = [];
+  for (const tile of tiles) {
+    const anchor = Array.from(tile.querySelectorAll('a[href]')).find(
+      (node) => node.href.startsWith('http') && !isGoogle(node.href)
+    );
+    const link = tile.getAttribute('data-lpage') || (anchor ? anchor.href : null);
+    const img = tile.querySelector('img');
+    if (!link || !img || seen.has(link)) continue;
+    seen.add(link);
+    items.push({
+      title: textOf(tile, ['.toI8Rb', '.OSrXXb', 'h3']) || clean(img.getAttribute('alt')) || null,
+      link,
+      image: img.getAttribute('data-src') || img.getAttribute('src') || null,
+      source: textOf(tile, ['.guK3rf', '.LAA3yd', '.fxgdke', '.dmeZbb']),
+      width: toNumber(tile.getAttribute('data-ow')),
+      height: toNumber(tile.getAttribute('data-oh')),
+    });
+    if (items.length >= maxResults) break;
+  }
+  return items;
+}
+
+function extractVideos({ maxResults }) {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const textOf = (root, selectors) => {
+    for (const selector of selectors) {
+      const node = root.querySelector(selector);
+      const text = node ? clean(node.innerText) : '';
+      if (text) return text;
+    }
+    return null;
+  };
+  const cards = new Set(
+    Array.from(document.querySelectorAll('#search .g, #search .MjjYud, #search .RzdJxc'))
+      .filter((node) => node.querySelector('h3'))
+      .map((node) => node.closest('.g') || node)
+  );
+  const seen = new Set();
+  const items = [];
+  for (const card of cards) {
+    const h3 = card.querySelector('h3');
+    const link = h3.closest('a[href]') || card.querySelector('a[href]');
+    if (!link || !link.href || seen.has(link.href)) continue;
+    seen.add(link.href);
+    // The byline reads "YouTube · Channel name · 3 Mar 2024".
+    const byline = textOf(card, ['.gqF9jc', '.P7xzyf', '.pcJO7e']);
+    const parts = byline ? byline.split('·').map(clean).filter(Boolean) : [];
+    items.push({
+      title: clean(h3.innerText),
+      link: link.href,
+      source: parts[0] || textOf(card, ['cite']),
+      channel: parts.length > 2 ? parts[1] : null,
+      published: parts.length > 1 ? parts[parts.length - 1] : null,
+      duration: textOf(card, ['.J1mWY', '.c8rnLc', '.O1CVkc', '.vdur']),
+      snippet: textOf(card, ['.ITZIwc', '.VwiC3b', '.Uroaid']),
+    });
+    if (items.length >= maxResults) break;
+  }
+  return items;
+}
+
+function extractShopping({ maxResults }) {
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+  const textOf = (root, selectors) => {
+    for (const selector of selectors) {
+      const node = root.querySelector(selector);
+      const text = node ? clean(node.innerText) : '';
+      if (text) return text;
+    }
+    return null;
+  };
+  const tiles = Array.from(
+    document.querySelectorAll('.sh-dgr__content, .i0X6df, #search [data-docid]')
+  ).filter((tile, index, all) => !all.some((other) => other !== tile && other.contains(tile)));
+  const seen = new Set();
+  const items = [];
+  for (const tile of tiles) {
+    const title = textOf(tile, ['h3', '.tAxDx', '.rgHvZc', '[role="heading"]']);
+    const link = tile.querySelector('a[href]');
+    if (!title || !link || seen.has(link.href)) continue;
+    seen.add(link.href);
+    const ratingNode = tile.querySelector('.Rsc7Yb, .yi40Hd, [aria-label*="out of 5"]');
+    const rating = ratingNode
+      ? (ratingNode.getAttribute('aria-label') || ratingNode.innerText).match(/\d+(?:[.,]\d+)?/)
+      : null;
+    const reviews = textOf(tile, ['.RDApEe', '.QIrs8', '.NzUzee']);
+    items.push({
+      title,
+      link: link.href,
+      price: textOf(tile, ['.a8Pemb', '.HRLxBb', '.kHxwFf span', '.T14wmb']),
+      merchant: textOf(tile, ['.aULzUe', '.IuHnof', '.E5ocAb', '.b07ME']),
+      rating: rating ? Number(rating[0].replace(',', '.')) : null,
+      reviews: reviews && /\d/.test(reviews) ? Number(reviews.replace(/\D/g, '')) : null,
+    });
+    if (items.length >= maxResults) break;
+  }
+  return items;
+}
+
+const extractors = {
+  news: extractNews,
+  images: extractImages,
+  videos: extractVideos,
+  shopping: extractShopping,
+};
+
+export async function parseVertical(page, vertical, { limit = 20 } = {}) {
+  const results = await page.evaluate(extractors[vertical], { maxResults: limit });
+  return { results };
+}
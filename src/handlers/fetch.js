@@ -0,0 +1,79 @@
+import { buildBlockerPayload } from '../blockers.js';
+import { pickNavigationOptions, navigatePage } from '../navigation.js';
+import { validateSteps, runSteps } from '../steps.js';
+import { validateExtract, runExtract } from '../extract.js';
+
+function validate(payload) {
+  if (!payload.url) {
+    return 'url is required';
+  }
+  return validateSteps(payload.steps) || validateExtract(payload.extract);
+}
+
+async function run({ page, payload, profileId, log, setPhase }) {
+  const {
+    returnHtml = true,
+    extract,
+    evaluateScript,
+    evaluateArgs,
+    steps,
+  } = payload;
+  const navigation = pickNavigationOptions(payload);
+  const { url } = navigation;
+
+  const started = Date.now();
+  const { response, blocker, consent } = await navigatePage(page, { ...navigation, log, setPhase });
+  if (blocker) {
+    return buildBlockerPayload(blocker, {
+      timestamp: new Date().toISOString(),
+      profileId,
+      url,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      consent,
+    });
+  }
+
+  let stepTimings;
+  if (steps && steps.length) {
+    setPhase('interacting');
+    stepTimings = await runSteps(page, steps, { log });
+    setPhase('extracting');
+  }
+
+  const extracted = extract && extract.length ? await runExtract(page, extract) : null;
+
+  const html = returnHtml ? await page.content() : undefined;
+
+  let evaluated = null;
+  if (evaluateScript) {
+    evaluated = await page.evaluate(
+      ({ script, args }) => {
+        const fn = eval(script);
+        if (typeof fn === 'function') {
+          return fn(args || {});
+        }
+        return fn;
+      },
+      { script: evaluateScript, args: evaluateArgs || {} }
+    );
+  }
+
+  const duration = Date.now() - started;
+
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    url,
+    finalUrl: page.url(),
+    status: response ? response.status() : null,
+    consent,
+    duration,
+    extracted,
+    evaluated,
+    steps: stepTimings,
+    html,
+  };
+}
+
+export default { name: 'fetch', route: '/fetch', cacheable: true, validate, run };
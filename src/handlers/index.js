@@ -0,0 +1,39 @@
+import fetchHandler from './fetch.js';
+import searchHandler from './search.js';
+import mapsHandler from './maps.js';
+import mapsPlaceHandler from './maps-place.js';
+import mapsReviewsHandler from './maps-reviews.js';
+import screenshotHandler from './screenshot.js';
+import pdfHandler from './pdf.js';
+
+const builtins = [
+  fetchHandler,
+  searchHandler,
+  mapsHandler,
+  mapsPlaceHandler,
+  mapsReviewsHandler,
+  screenshotHandler,
+  pdfHandler,
+];
+
+// Built-in handlers plus whatever modules are loaded (see modules.js).
+export const handlers = new Map(builtins.map((handler) => [handler.name, handler]));
+
+export function getHandler(type) {
+  return handlers.get(type);
+}
+
+export const isBuiltinHandler = (name) => builtins.some((handler) => handler.name === name);
+
+export function registerHandler(handler) {
+  if (isBuiltinHandler(handler.name)) {
+    throw new Error(`"${handler.name}" is a built-in handler`);
+  }
+  handlers.set(handler.name, handler);
+}
+
+export function unregisterHandler(name) {
+  if (!isBuiltinHandler(name)) {
+    handlers.delete(name);
+  }
+}
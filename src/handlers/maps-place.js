@@ -0,0 +1,154 @@
+import { NAVIGATION_TIMEOUT } from '../config.js';
+import { buildBlockerPayload } from '../blockers.js';
+import { checkAccess } from '../consent.js';
+import { parsePlace } from '../extractors/place.js';
+import { applyLocale, validateLocale } from '../locale.js';
+
+const HOST = 'www.google.com';
+const PLACE_SELECTOR = 'h1.DUwDvf';
+
+function isPlaceUrl(value) {
+  try {
+    const url = new URL(value);
+    return (
+      url.protocol === 'https:' &&
+      /(^|\.)google\.[a-z.]+$/.test(url.hostname) &&
+      url.pathname.startsWith('/maps/place/')
+    );
+  } catch (_err) {
+    return false;
+  }
+}
+
+// The parser matches labels like "About" and "photos", so the panel language
+// matters; an hl or gl already in the href wins.
+function withLocale(href, { lang, gl }) {
+  const url = new URL(href);
+  if (!url.searchParams.has('hl')) {
+    url.searchParams.set('hl', lang);
+  }
+  if (gl && !url.searchParams.has('gl')) {
+    url.searchParams.set('gl', gl);
+  }
+  return url.href;
+}
+
+// With geolocation the map opens centred there, so local queries such as
+// "plumber" are answered for that spot.
+export function mapsSearchUrl(query, { lang, gl, geolocation }) {
+  const params = new URLSearchParams({ hl: lang });
+  if (gl) params.set('gl', gl);
+  const at = geolocation ? `/@${geolocation.latitude},${geolocation.longitude},14z` : '';
+  return `https://${HOST}/maps/search/${encodeURIComponent(query)}${at}?${params}`;
+}
+
+// Shared by the routes that start from one place: an href or a query.
+export function validatePlaceTarget(payload) {
+  const { href, query } = payload;
+  if (!href && !query) {
+    return 'href or query is required';
+  }
+  if (href !== undefined && !isPlaceUrl(href)) {
+    return 'href must be a Google Maps place URL (https://www.google.com/maps/place/...)';
+  }
+  return validateLocale(payload, { location: false });
+}
+
+export const placeUrl = ({ href, query }, locale) =>
+  href ? withLocale(href, locale) : mapsSearchUrl(query, locale);
+
+// Opens a place panel and runs the blocker check. A search that does not
+// land on a single place opens its first result.
+export async function loadPlacePage(page, url, options) {
+  const { waitUntil, waitForTimeout = 0, autoConsent = false, blockerRules } = options;
+  const { log, setPhase } = options;
+  setPhase('navigating');
+  const response = await page.goto(url, {
+    waitUntil: waitUntil || 'domcontentloaded',
+    timeout: NAVIGATION_TIMEOUT,
+  });
+
+  setPhase('waiting');
+  const landed = await Promise.any([
+    page.waitForSelector(PLACE_SELECTOR, { timeout: NAVIGATION_TIMEOUT }).then(() => 'place'),
+    page.waitForSelector('a.hfpxzc', { timeout: NAVIGATION_TIMEOUT }).then(() => 'list'),
+  ]).catch(() => null);
+  if (landed === 'list') {
+    await page.locator('a.hfpxzc').first().click({ timeout: NAVIGATION_TIMEOUT });
+    await page.waitForSelector(PLACE_SELECTOR, { timeout: NAVIGATION_TIMEOUT }).catch(() => {});
+  }
+  if (waitForTimeout) {
+    await page.waitForTimeout(waitForTimeout);
+  }
+
+  setPhase('extracting');
+  const { blocker, consent } = await checkAccess(page, {
+    requiredSelectors: [PLACE_SELECTOR, '[role="main"] h1'],
+    autoConsent,
+    blockerRules,
+    log,
+  });
+  return { response, blocker, consent, status: response ? response.status() : null };
+}
+
+async function run({ page, payload, profileId, log, setPhase }) {
+  const {
+    query,
+    about = true,
+    returnHtml = false,
+    waitUntil,
+    waitForTimeout = 1000,
+    autoConsent = false,
+    blockerRules,
+  } = payload;
+
+  const started = Date.now();
+  const locale = await applyLocale(page, payload);
+  const url = placeUrl(payload, locale);
+  const { blocker, consent, status } = await loadPlacePage(page, url, {
+    waitUntil,
+    waitForTimeout,
+    autoConsent,
+    blockerRules,
+    log,
+    setPhase,
+  });
+  if (blocker) {
+    return buildBlockerPayload(blocker, {
+      timestamp: new Date().toISOString(),
+      profileId,
+      query,
+      locale,
+      url,
+      finalUrl: page.url(),
+      status,
+      consent,
+    });
+  }
+
+  const place = await parsePlace(page, { about });
+  const html = returnHtml ? await page.content() : undefined;
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    query,
+    locale,
+    url,
+    finalUrl: page.url(),
+    status,
+    consent,
+    duration: Date.now() - started,
+    place,
+    html,
+  };
+}
+
+export default {
+  name: 'maps-place',
+  route: '/maps/place',
+  host: HOST,
+  scope: 'maps',
+  cacheable: true,
+  validate: validatePlaceTarget,
+  run,
+};
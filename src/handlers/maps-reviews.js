@@ -0,0 +1,149 @@
+import { NAVIGATION_TIMEOUT } from '../config.js';
+import { buildBlockerPayload } from '../blockers.js';
+import { parseReviews } from '../extractors/reviews.js';
+import { applyLocale } from '../locale.js';
+import { loadPlacePage, placeUrl, validatePlaceTarget } from './maps-place.js';
+
+const MAX_REVIEWS = 1000;
+// In the order Google lists them in the sort menu.
+const SORT_ORDERS = ['relevant', 'newest', 'highest', 'lowest'];
+const REVIEW_SELECTOR = '.jftiEf[data-review-id]';
+const MENU_TIMEOUT = 5000;
+
+function validate(payload) {
+  const invalid = validatePlaceTarget(payload);
+  if (invalid) {
+    return invalid;
+  }
+  const { sort, limit, since } = payload;
+  if (sort !== undefined && !SORT_ORDERS.includes(sort)) {
+    return `sort must be one of ${SORT_ORDERS.join(', ')}`;
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_REVIEWS)) {
+    return `limit must be an integer between 1 and ${MAX_REVIEWS}`;
+  }
+  if (since !== undefined) {
+    if (typeof since !== 'string' || Number.isNaN(Date.parse(since))) {
+      return 'since must be a date such as 2025-01-31';
+    }
+    if (sort !== undefined && sort !== 'newest') {
+      return 'since only works with sort "newest"';
+    }
+  }
+  return null;
+}
+
+// Returns false when the place has no reviews tab at all.
+async function openReviews(page, sort) {
+  const tab = page.locator('button[role="tab"][aria-label^="Reviews"]').first();
+  if (!(await tab.count())) {
+    return false;
+  }
+  await tab.click({ timeout: NAVIGATION_TIMEOUT });
+  await page.waitForSelector(REVIEW_SELECTOR, { timeout: NAVIGATION_TIMEOUT });
+  if (sort === 'relevant') {
+    return true;
+  }
+
+  const firstId = await page.locator(REVIEW_SELECTOR).first().getAttribute('data-review-id');
+  await page
+    .locator('button[aria-label="Sort reviews"], button[data-value="Sort"]')
+    .first()
+    .click({ timeout: MENU_TIMEOUT });
+  await page
+    .locator('[role="menuitemradio"]')
+    .nth(SORT_ORDERS.indexOf(sort))
+    .click({ timeout: MENU_TIMEOUT });
+  // The list is replaced in place once the new order arrives.
+  await page
+    .waitForFunction(
+      ({ selector, previous }) => {
+        const node = document.querySelector(selector);
+        return node && node.getAttribute('data-review-id') !== previous;
+      },
+      { selector: REVIEW_SELECTOR, previous: firstId },
+      { timeout: NAVIGATION_TIMEOUT }
+    )
+    .catch(() => {});
+  return true;
+}
+
+async function run({ page, payload, profileId, log, setPhase }) {
+  const {
+    query,
+    since,
+    sort = since ? 'newest' : 'relevant',
+    limit = 50,
+    scroll = true,
+    returnHtml = false,
+    waitUntil,
+    waitForTimeout = 1000,
+    autoConsent = false,
+    blockerRules,
+  } = payload;
+
+  const started = Date.now();
+  const locale = await applyLocale(page, payload);
+  const url = placeUrl(payload, locale);
+  const { blocker, consent, status } = await loadPlacePage(page, url, {
+    waitUntil,
+    waitForTimeout,
+    autoConsent,
+    blockerRules,
+    log,
+    setPhase,
+  });
+  if (blocker) {
+    return buildBlockerPayload(blocker, {
+      timestamp: new Date().toISOString(),
+      profileId,
+      query,
+      locale,
+      url,
+      finalUrl: page.url(),
+      status,
+      consent,
+    });
+  }
+
+  const title = await page.evaluate(() => {
+    const heading = document.querySelector('h1.DUwDvf, [role="main"] h1');
+    return heading ? heading.innerText.trim() : null;
+  });
+  let reviews = [];
+  let reachedCutoff = false;
+  if (await openReviews(page, sort)) {
+    ({ reviews, reachedCutoff } = await parseReviews(page, { limit, since, scroll }));
+  } else {
+    log.info('place has no reviews tab', { url: page.url() });
+  }
+
+  const html = returnHtml ? await page.content() : undefined;
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    query,
+    locale,
+    url,
+    finalUrl: page.url(),
+    status,
+    consent,
+    duration: Date.now() - started,
+    place: { title },
+    sort,
+    since,
+    reachedCutoff,
+    reviews,
+    html,
+  };
+}
+
+export default {
+  name: 'maps-reviews',
+  route: '/maps/reviews',
+  host: 'www.google.com',
+  scope: 'maps',
+  cacheable: true,
+  validate,
+  run,
+};
@@ -0,0 +1,168 @@
+import { NAVIGATION_TIMEOUT } from '../config.js';
+import { buildBlockerPayload } from '../blockers.js';
+import { checkAccess } from '../consent.js';
+import { HostThrottledError } from '../errors.js';
+import { waitForHost, reportHostOutcome } from '../politeness.js';
+import { parseMaps } from '../extractors/maps.js';
+import { parsePlace } from '../extractors/place.js';
+import { applyLocale, validateLocale } from '../locale.js';
+import { loadPlacePage, mapsSearchUrl } from './maps-place.js';
+
+const HOST = 'www.google.com';
+// Google Maps lists at most 120 places per search.
+const MAX_RESULTS = 120;
+// What a place visit is assumed to take until one has been timed, and what is
+// kept back for answering.
+const VISIT_ESTIMATE = 10000;
+const RESPONSE_MARGIN = 1000;
+
+function validate(payload) {
+  if (!payload.query) {
+    return 'query is required';
+  }
+  const { limit } = payload;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_RESULTS)) {
+    return `limit must be an integer between 1 and ${MAX_RESULTS}`;
+  }
+  if (payload.enrich !== undefined && typeof payload.enrich !== 'boolean') {
+    return 'enrich must be a boolean';
+  }
+  return validateLocale(payload, { location: false });
+}
+
+// Opens every result's place panel in turn and attaches its details. A place
+// that fails to load gets `details: null`; a blocker stops the walk, and so
+// does a job budget too small for the next host slot plus the slowest visit
+// so far, keeping the places already collected.
+async function enrichResults(page, results, options) {
+  const { log, setPhase, signal, deadline } = options;
+  let slowest = 0;
+  for (const [index, result] of results.entries()) {
+    const spare = deadline - Date.now() - (slowest || VISIT_ESTIMATE) - RESPONSE_MARGIN;
+    // Each place visit is paced like a separate job against Google.
+    setPhase('queued');
+    let fits = spare >= 0;
+    if (fits) {
+      try {
+        await waitForHost(HOST, { signal, log, maxWait: spare });
+      } catch (err) {
+        if (!(err instanceof HostThrottledError)) throw err;
+        fits = false;
+      }
+    }
+    if (!fits) {
+      log.warn('maps enrichment stopped by the job budget', { enriched: index });
+      return { enriched: index, timedOut: true };
+    }
+    const visitStarted = Date.now();
+    let loaded;
+    try {
+      loaded = await loadPlacePage(page, result.href, options);
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      log.warn('place details failed', { href: result.href, err: err.message });
+      result.details = null;
+      continue;
+    }
+    if (loaded.blocker) {
+      reportHostOutcome(HOST, loaded.blocker, log);
+      const { type, reason } = loaded.blocker;
+      log.warn('maps enrichment stopped by blocker', { enriched: index, blocker: type });
+      return { enriched: index, blocker: { type, reason } };
+    }
+    result.details = await parsePlace(page, { about: options.about });
+    slowest = Math.max(slowest, Date.now() - visitStarted);
+  }
+  return undefined;
+}
+
+async function run({ page, payload, profileId, log, setPhase, signal, deadline = Infinity }) {
+  const {
+    query,
+    limit = 20,
+    waitUntil,
+    waitForTimeout = 3000,
+    scroll = true,
+    enrich = false,
+    returnHtml = false,
+    autoConsent = false,
+    blockerRules,
+  } = payload;
+
+  const started = Date.now();
+  const locale = await applyLocale(page, payload);
+  const mapsUrl = mapsSearchUrl(query, locale);
+  setPhase('navigating');
+  const response = await page.goto(mapsUrl, {
+    waitUntil: waitUntil || 'domcontentloaded',
+    timeout: NAVIGATION_TIMEOUT,
+  });
+
+  setPhase('waiting');
+  await page.waitForSelector('a.hfpxzc', { timeout: NAVIGATION_TIMEOUT }).catch(() => {});
+  if (waitForTimeout) {
+    await page.waitForTimeout(waitForTimeout);
+  }
+
+  setPhase('extracting');
+  const { blocker, consent } = await checkAccess(page, {
+    requiredSelectors: ['a.hfpxzc[href*="/place/"]', '.Nv2PK', '.lMbq3e'],
+    autoConsent,
+    blockerRules,
+    log,
+  });
+  if (blocker) {
+    return buildBlockerPayload(blocker, {
+      timestamp: new Date().toISOString(),
+      profileId,
+      query,
+      locale,
+      url: mapsUrl,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      consent,
+    });
+  }
+
+  const { results } = await parseMaps(page, { limit, scroll });
+
+  const html = returnHtml ? await page.content() : undefined;
+  // Enrichment leaves the page on the last place visited.
+  const finalUrl = page.url();
+  const incomplete = enrich
+    ? await enrichResults(page, results, {
+        waitUntil,
+        autoConsent,
+        blockerRules,
+        waitForTimeout: 1000,
+        about: true,
+        log,
+        setPhase,
+        signal,
+        deadline,
+      })
+    : undefined;
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    query,
+    locale,
+    url: mapsUrl,
+    finalUrl,
+    status: response ? response.status() : null,
+    consent,
+    duration: Date.now() - started,
+    results,
+    incomplete,
+    html,
+  };
+}
+
+export default {
+  name: 'maps',
+  route: '/maps',
+  host: 'www.google.com',
+  cacheable: true,
+  validate,
+  run,
+};
@@ -0,0 +1,84 @@
+import { HEADLESS } from '../config.js';
+import { buildBlockerPayload } from '../blockers.js';
+import { pickNavigationOptions, navigatePage } from '../navigation.js';
+import { RENDER_ENCODINGS } from '../rendering.js';
+
+function validate(payload) {
+  const { url, margin, encoding = 'binary' } = payload;
+  // page.pdf() only works in headless Chromium.
+  if (!HEADLESS) {
+    return 'PDF rendering needs headless mode, but this service runs with HEADLESS=false';
+  }
+  if (!url) {
+    return 'url is required';
+  }
+  if (margin !== undefined && (typeof margin !== 'object' || margin === null)) {
+    return 'margin must be an object with top/right/bottom/left';
+  }
+  if (!RENDER_ENCODINGS.includes(encoding)) {
+    return `encoding must be one of ${RENDER_ENCODINGS.join(', ')}`;
+  }
+  return null;
+}
+
+async function run({ page, payload, profileId, log, setPhase }) {
+  const {
+    format = 'A4',
+    width,
+    height,
+    landscape = false,
+    margin,
+    headerTemplate,
+    footerTemplate,
+    printBackground = true,
+    scale,
+    pageRanges,
+  } = payload;
+  const navigation = pickNavigationOptions(payload);
+  const { url } = navigation;
+
+  const started = Date.now();
+  const { response, blocker, consent } = await navigatePage(page, { ...navigation, log, setPhase });
+  if (blocker) {
+    return buildBlockerPayload(blocker, {
+      timestamp: new Date().toISOString(),
+      profileId,
+      url,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      consent,
+    });
+  }
+
+  const options = {
+    landscape,
+    printBackground,
+    displayHeaderFooter: Boolean(headerTemplate || footerTemplate),
+    headerTemplate: headerTemplate || '<span></span>',
+    footerTemplate: footerTemplate || '<span></span>',
+  };
+  if (width || height) {
+    options.width = width;
+    options.height = height;
+  } else {
+    options.format = format;
+  }
+  if (margin) options.margin = margin;
+  if (scale) options.scale = scale;
+  if (pageRanges) options.pageRanges = pageRanges;
+  const data = await page.pdf(options);
+
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    url,
+    finalUrl: page.url(),
+    status: response ? response.status() : null,
+    consent,
+    duration: Date.now() - started,
+    contentType: 'application/pdf',
+    data,
+  };
+}
+
+export default { name: 'pdf', route: '/pdf', validate, run };
@@ -0,0 +1,93 @@
+import { NAVIGATION_TIMEOUT } from '../config.js';
+import { buildBlockerPayload } from '../blockers.js';
+import { pickNavigationOptions, navigatePage } from '../navigation.js';
+import { RENDER_ENCODINGS } from '../rendering.js';
+
+const SCREENSHOT_TYPES = ['png', 'jpeg'];
+
+function isValidViewport(viewport) {
+  return (
+    viewport &&
+    Number.isInteger(viewport.width) &&
+    Number.isInteger(viewport.height) &&
+    viewport.width > 0 &&
+    viewport.height > 0
+  );
+}
+
+function validate(payload) {
+  const { url, type = 'png', quality, viewport, encoding = 'binary' } = payload;
+  if (!url) {
+    return 'url is required';
+  }
+  if (!SCREENSHOT_TYPES.includes(type)) {
+    return `type must be one of ${SCREENSHOT_TYPES.join(', ')}`;
+  }
+  if (quality !== undefined && (type !== 'jpeg' || !(quality >= 0 && quality <= 100))) {
+    return 'quality must be between 0 and 100 and is only valid for jpeg';
+  }
+  if (viewport !== undefined && !isValidViewport(viewport)) {
+    return 'viewport must be { width, height } in positive integers';
+  }
+  if (!RENDER_ENCODINGS.includes(encoding)) {
+    return `encoding must be one of ${RENDER_ENCODINGS.join(', ')}`;
+  }
+  return null;
+}
+
+async function run({ page, payload, profileId, log, setPhase }) {
+  const {
+    fullPage = false,
+    selector,
+    viewport,
+    type = 'png',
+    quality,
+    omitBackground = false,
+  } = payload;
+  const navigation = pickNavigationOptions(payload);
+  const { url } = navigation;
+
+  if (viewport) {
+    await page.setViewportSize(viewport);
+  }
+  const started = Date.now();
+  const { response, blocker, consent } = await navigatePage(page, { ...navigation, log, setPhase });
+  if (blocker) {
+    return buildBlockerPayload(blocker, {
+      timestamp: new Date().toISOString(),
+      profileId,
+      url,
+      finalUrl: page.url(),
+      status: response ? response.status() : null,
+      consent,
+    });
+  }
+
+  const options = { type, omitBackground };
+  if (quality !== undefined) {
+    options.quality = quality;
+  }
+  let data;
+  if (selector) {
+    data = await page.locator(selector).first().screenshot({
+      ...options,
+      timeout: navigation.waitForSelectorTimeout || NAVIGATION_TIMEOUT,
+    });
+  } else {
+    data = await page.screenshot({ ...options, fullPage });
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    url,
+    finalUrl: page.url(),
+    status: response ? response.status() : null,
+    consent,
+    duration: Date.now() - started,
+    contentType: `image/${type}`,
+    data,
+  };
+}
+
+export default { name: 'screenshot', route: '/screenshot', validate, run };
@@ -0,0 +1,321 @@
+import { NAVIGATION_TIMEOUT, FALLBACK_SNIPPET_LIMIT, FALLBACK_SNIPPET_TIMEOUT } from '../config.js';
+import { buildBlockerPayload } from '../blockers.js';
+import { checkAccess } from '../consent.js';
+import { snippetFallbackFetches } from '../metrics.js';
+import { waitForHost, reportHostOutcome } from '../politeness.js';
+import { applyLocale, validateLocale } from '../locale.js';
+import { parseSerp } from '../extractors/serp.js';
+import { parseVertical } from '../extractors/verticals.js';
+
+const decodeHtml = (value) => {
+  if (!value) return '';
+  return value
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&#x27;/gi, "'")
+    .replace(/&nbsp;/gi, ' ')
+    .trim();
+};
+
+async function fillMissingSnippets(results, { log, httpFetch = fetch, acceptLanguage }) {
+  if (!Array.isArray(results) || !results.length || FALLBACK_SNIPPET_LIMIT <= 0) {
+    return;
+  }
+  let attempts = 0;
+  for (const item of results) {
+    if (item.snippet || !item.link || !item.link.startsWith('http')) continue;
+    if (attempts >= FALLBACK_SNIPPET_LIMIT) break;
+    attempts += 1;
+    try {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), FALLBACK_SNIPPET_TIMEOUT);
+      const response = await httpFetch(item.link, {
+        signal: controller.signal,
+        headers: {
+          'User-Agent':
+            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119 Safari/537.36',
+          'Accept-Language': acceptLanguage || 'en-US,en;q=0.9',
+        },
+      });
+      clearTimeout(timer);
+      if (!response.ok) {
+        snippetFallbackFetches.inc({ outcome: 'http_error' });
+        log.debug('snippet fallback fetch failed', { link: item.link, status: response.status });
+        continue;
+      }
+      const html = await response.text();
+      const metaMatch =
+        html.match(/<meta[^>]+name=["']description["'][^>]*content=["']([^"']+)["']/i) ||
+        html.match(/<meta[^>]+content=["']([^"']+)["'][^>]*name=["']description["']/i);
+      if (metaMatch && metaMatch[1]) {
+        const snippetText = decodeHtml(metaMatch[1]);
+        if (snippetText) {
+          item.snippet = snippetText;
+        }
+      }
+      snippetFallbackFetches.inc({ outcome: item.snippet ? 'filled' : 'no_description' });
+    } catch (err) {
+      snippetFallbackFetches.inc({ outcome: 'error' });
+      log.debug('snippet fallback fetch failed', { link: item.link, err: err.message });
+    }
+  }
+  if (attempts) {
+    log.info('snippet fallback finished', {
+      attempts,
+      missing: results.filter((item) => !item.snippet).length,
+    });
+  }
+}
+
+const HOST = 'www.google.com';
+const PAGE_SIZE = 10;
+const MAX_PAGES = 10;
+const SAFE_MODES = ['off', 'active'];
+const VERTICALS = {
+  web: {
+    params: {},
+    requiredSelectors: ['#search .g', '#search .tF2Cxc', '#search .Gx5Zad'],
+    paged: true,
+  },
+  news: {
+    params: { tbm: 'nws' },
+    requiredSelectors: ['#search .SoaBEf', '#search a.WlydOe'],
+    paged: true,
+  },
+  images: {
+    params: { tbm: 'isch' },
+    requiredSelectors: ['#search [data-lpage]', '#islrg img', '#search .eA0Zlc'],
+    paged: false,
+  },
+  videos: {
+    params: { tbm: 'vid' },
+    requiredSelectors: ['#search .g h3', '#search .MjjYud h3'],
+    paged: true,
+  },
+  shopping: {
+    params: { tbm: 'shop' },
+    requiredSelectors: ['.sh-dgr__content', '.i0X6df', '#search [data-docid]'],
+    paged: true,
+  },
+};
+
+function buildSearchUrl({ query, locale, safe, vertical, start }) {
+  const params = new URLSearchParams({ q: query, hl: locale.lang, ...VERTICALS[vertical].params });
+  if (locale.gl) params.set('gl', locale.gl);
+  if (locale.uule) params.set('uule', locale.uule);
+  if (safe) params.set('safe', safe);
+  if (start) params.set('start', String(start));
+  return `https://${HOST}/search?${params}`;
+}
+
+function validate(payload) {
+  if (!payload.query) {
+    return 'query is required';
+  }
+  const { vertical = 'web', pages, start, limit, safe } = payload;
+  if (!Object.hasOwn(VERTICALS, vertical)) {
+    return `vertical must be one of ${Object.keys(VERTICALS).join(', ')}`;
+  }
+  if (pages !== undefined && !(Number.isInteger(pages) && pages >= 1 && pages <= MAX_PAGES)) {
+    return `pages must be an integer between 1 and ${MAX_PAGES}`;
+  }
+  if (start !== undefined && !(Number.isInteger(start) && start >= 0)) {
+    return 'start must be a non-negative integer';
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1)) {
+    return 'limit must be a positive integer';
+  }
+  if (!VERTICALS[vertical].paged && (pages > 1 || start > 0)) {
+    return `${vertical} results cannot be paged`;
+  }
+  if (safe !== undefined && !SAFE_MODES.includes(safe)) {
+    return `safe must be one of ${SAFE_MODES.join(', ')}`;
+  }
+  return validateLocale(payload);
+}
+
+async function loadResultsPage(page, url, options) {
+  const { waitUntil, waitForTimeout, requiredSelectors, autoConsent, blockerRules } = options;
+  const { log, setPhase } = options;
+  setPhase('navigating');
+  const response = await page.goto(url, {
+    waitUntil: waitUntil || 'domcontentloaded',
+    timeout: NAVIGATION_TIMEOUT,
+  });
+  setPhase('waiting');
+  await page.waitForSelector('#search, #islrg', { timeout: NAVIGATION_TIMEOUT }).catch(() => {});
+  if (waitForTimeout) {
+    await page.waitForTimeout(waitForTimeout);
+  }
+
+  setPhase('extracting');
+  const { blocker, consent } = await checkAccess(page, {
+    requiredSelectors,
+    autoConsent,
+    blockerRules,
+    log,
+  });
+  return { response, blocker, consent, status: response ? response.status() : null };
+}
+
+// Walks up to `pages` result pages from `start`, merging results by link.
+// Ranks count from the first requested page, so start=10 begins at rank 11.
+async function run({ page, payload, profileId, log, setPhase, httpFetch, signal }) {
+  const {
+    query,
+    safe,
+    vertical = 'web',
+    pages = 1,
+    start = 0,
+    waitUntil,
+    waitForTimeout = 0,
+    returnHtml = false,
+    includeTopStories = true,
+    includePeopleAlsoAsk = true,
+    expandPeopleAlsoAsk = false,
+    includeRelatedSearches = true,
+    includeKnowledgePanel = true,
+    includeAds = true,
+    includeLocalPack = true,
+    autoConsent = false,
+    blockerRules,
+  } = payload;
+  const limit = payload.limit !== undefined ? payload.limit : Math.max(20, pages * PAGE_SIZE);
+  const { requiredSelectors } = VERTICALS[vertical];
+  // SERP features are read from the first page only.
+  const features = {
+    includeTopStories,
+    includeAiOverview: true,
+    includePeopleAlsoAsk,
+    expandPeopleAlsoAsk,
+    includeRelatedSearches,
+    includeKnowledgePanel,
+    includeAds,
+    includeLocalPack,
+  };
+  const resultsOnly = Object.fromEntries(Object.keys(features).map((key) => [key, false]));
+
+  const started = Date.now();
+  const locale = await applyLocale(page, payload);
+  const results = [];
+  const seen = new Set();
+  const visited = [];
+  let first;
+  let incomplete;
+  for (let index = 0; index < pages && results.length < limit; index += 1) {
+    const pageStart = start + index * PAGE_SIZE;
+    const url = buildSearchUrl({ query, locale, safe, vertical, start: pageStart });
+    if (index > 0) {
+      // Later pages are paced like separate jobs against the same host.
+      setPhase('queued');
+      await waitForHost(HOST, { signal, log });
+    }
+    const loaded = await loadResultsPage(page, url, {
+      waitUntil,
+      waitForTimeout,
+      requiredSelectors,
+      autoConsent,
+      blockerRules,
+      log,
+      setPhase,
+    });
+    if (loaded.blocker && index === 0) {
+      return buildBlockerPayload(loaded.blocker, {
+        timestamp: new Date().toISOString(),
+        profileId,
+        query,
+        vertical,
+        locale,
+        url,
+        finalUrl: page.url(),
+        status: loaded.status,
+        consent: loaded.consent,
+      });
+    }
+    if (loaded.blocker) {
+      // Keep what the earlier pages returned; the host still backs off.
+      reportHostOutcome(HOST, loaded.blocker, log);
+      const { type, reason } = loaded.blocker;
+      incomplete = { page: index + 1, start: pageStart, blocker: { type, reason } };
+      log.warn('search pagination stopped by blocker', { page: index + 1, blocker: type });
+      break;
+    }
+
+    const parsed =
+      vertical === 'web'
+        ? await parseSerp(page, { limit, ...(index === 0 ? features : resultsOnly) })
+        : await parseVertical(page, vertical, { limit });
+    // Marking links as they are filtered also drops repeats within the page.
+    const fresh = parsed.results.filter((item) => !seen.has(item.link) && seen.add(item.link));
+    for (const item of fresh.slice(0, limit - results.length)) {
+      results.push({ rank: start + results.length + 1, page: index + 1, ...item });
+    }
+    visited.push({
+      page: index + 1,
+      start: pageStart,
+      url,
+      status: loaded.status,
+      results: fresh.length,
+    });
+    if (index === 0) {
+      first = {
+        url,
+        finalUrl: page.url(),
+        status: loaded.status,
+        consent: loaded.consent,
+        topStories: parsed.topStories,
+        aiOverview: parsed.aiOverview,
+        peopleAlsoAsk: parsed.peopleAlsoAsk,
+        relatedSearches: parsed.relatedSearches,
+        knowledgePanel: parsed.knowledgePanel,
+        ads: parsed.ads,
+        localPack: parsed.localPack,
+        html: returnHtml ? await page.content() : undefined,
+      };
+    }
+    if (!fresh.length) break;
+  }
+  if (vertical === 'web') {
+    await fillMissingSnippets(results, {
+      log,
+      httpFetch,
+      acceptLanguage: locale.acceptLanguage,
+    });
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    profileId,
+    query,
+    vertical,
+    locale,
+    url: first.url,
+    finalUrl: first.finalUrl,
+    status: first.status,
+    consent: first.consent,
+    duration: Date.now() - started,
+    results,
+    pages: visited,
+    incomplete,
+    topStories: first.topStories,
+    aiOverview: first.aiOverview,
+    peopleAlsoAsk: first.peopleAlsoAsk,
+    relatedSearches: first.relatedSearches,
+    knowledgePanel: first.knowledgePanel,
+    ads: first.ads,
+    localPack: first.localPack,
+    html: first.html,
+  };
+}
+
+export default {
+  name: 'search',
+  route: '/search',
+  host: HOST,
+  cacheable: true,
+  validate,
+  run,
+};
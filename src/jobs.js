@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import {
+  JOB_RESULT_TTL,
+  CALLBACK_SECRET,
+  CALLBACK_TIMEOUT,
+  CALLBACK_RETRIES,
+} from './config.js';
+import { executeJob } from './execute.js';
+import { serializeResult } from './rendering.js';
+import { logger } from './logger.js';
+
+const jobs = new Map();
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function isValidCallbackUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (_err) {
+    return false;
+  }
+}
+
+function toView(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    profileId: job.profileId,
+    requestId: job.requestId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.expiresAt,
+    result: job.result,
+    error: job.error,
+    artifactId: job.artifactId,
+    callback: job.callback,
+  };
+}
+
+function signCallback(body, timestamp) {
+  return crypto.createHmac('sha256', CALLBACK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliverCallback(job) {
+  const body = JSON.stringify(toView(job));
+  for (let attempt = 1; attempt <= CALLBACK_RETRIES; attempt += 1) {
+    job.callback.attempts = attempt;
+    const timestamp = String(Date.now());
+    try {
+      const response = await fetch(job.callback.url, {
+        method: 'POST',
+        signal: AbortSignal.timeout(CALLBACK_TIMEOUT),
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Job-Id': job.id,
+          'X-Signature-Timestamp': timestamp,
+          'X-Signature': `sha256=${signCallback(body, timestamp)}`,
+        },
+        body,
+      });
+      job.callback.statusCode = response.status;
+      if (response.ok) {
+        job.callback.status = 'delivered';
+        job.callback.error = null;
+        return;
+      }
+      job.callback.error = `callback responded with HTTP ${response.status}`;
+    } catch (err) {
+      job.callback.error = err.message;
+    }
+    if (attempt < CALLBACK_RETRIES) {
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+  }
+  job.callback.status = 'failed';
+  job.log.warn('job callback failed', {
+    callbackUrl: job.callback.url,
+    attempts: job.callback.attempts,
+    error: job.callback.error,
+  });
+}
+
+function finishJob(job, status, fields) {
+  Object.assign(job, fields, {
+    status,
+    finishedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + JOB_RESULT_TTL).toISOString(),
+  });
+  if (job.callback) {
+    deliverCallback(job);
+  }
+}
+
+export function submitJob(prepared, { callbackUrl, requestId, keyId, log = logger } = {}) {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    type: prepared.handler.name,
+    status: 'queued',
+    profileId: prepared.profileId,
+    requestId,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null,
+    result: null,
+    error: null,
+    artifactId: null,
+    callback: callbackUrl
+      ? { url: callbackUrl, status: 'pending', attempts: 0, statusCode: null, error: null }
+      : null,
+  };
+  Object.defineProperty(job, 'log', { value: log.child({ jobId: id }) });
+  Object.defineProperty(job, 'keyId', { value: keyId });
+  jobs.set(job.id, job);
+
+  executeJob(prepared, {
+    log: job.log,
+    keyId,
+    onStart: () => {
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+    },
+  })
+    .then((result) => {
+      finishJob(job, result && result.blocked ? 'blocked' : 'completed', {
+        result: serializeResult(result),
+      });
+    })
+    .catch((error) => {
+      finishJob(job, 'failed', {
+        error: error.message || 'Unknown error',
+        artifactId: (error.details && error.details.artifactId) || null,
+      });
+    });
+
+  return toView(job);
+}
+
+export function getJob(id, { keyId } = {}) {
+  const job = jobs.get(id);
+  if (!job || (keyId && job.keyId !== keyId)) return null;
+  if (job.expiresAt && Date.parse(job.expiresAt) <= Date.now()) {
+    jobs.delete(id);
+    return null;
+  }
+  return toView(job);
+}
+
+const sweepTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+      jobs.delete(id);
+    }
+  }
+}, 60000);
+sweepTimer.unref();
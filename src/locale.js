@@ -0,0 +1,160 @@
+// Per-request location targeting for the Google routes. Profiles share one
+// persistent context, so everything that can be page-scoped is applied over
+// a CDP session on the job's page and undone by the page pool on release.
+
+const MAX_LOCATION_LENGTH = 200;
+const LANGUAGE_RANGE = /^(\*|[a-z]{1,8}(-[a-z0-9]{1,8})*)(\s*;\s*q=[01](\.\d{1,3})?)?$/i;
+
+const sessions = new WeakMap();
+// Geolocation jobs still running per context; the grant is revoked when the
+// last one is released.
+const geolocationGrants = new WeakMap();
+
+const inRange = (value, min, max) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+// `location` becomes Google's uule parameter, so it only applies where the
+// route builds a search URL.
+export function validateLocale(payload, { location: allowLocation = true } = {}) {
+  const { gl, location, geolocation, timezone, acceptLanguage } = payload;
+  if (gl !== undefined && !(typeof gl === 'string' && /^[a-z]{2}$/i.test(gl))) {
+    return 'gl must be a two-letter country code';
+  }
+  if (location !== undefined) {
+    if (!allowLocation) {
+      return 'location is not supported on this route; send geolocation instead';
+    }
+    if (
+      typeof location !== 'string' ||
+      !location.trim() ||
+      location.length > MAX_LOCATION_LENGTH
+    ) {
+      return `location must be a place name of at most ${MAX_LOCATION_LENGTH} characters`;
+    }
+  }
+  if (geolocation !== undefined) {
+    if (!geolocation || typeof geolocation !== 'object' || Array.isArray(geolocation)) {
+      return 'geolocation must be an object with latitude and longitude';
+    }
+    const { latitude, longitude, accuracy } = geolocation;
+    if (!inRange(latitude, -90, 90)) {
+      return 'geolocation.latitude must be a number between -90 and 90';
+    }
+    if (!inRange(longitude, -180, 180)) {
+      return 'geolocation.longitude must be a number between -180 and 180';
+    }
+    if (accuracy !== undefined && !inRange(accuracy, 0, Infinity)) {
+      return 'geolocation.accuracy must be a non-negative number of meters';
+    }
+  }
+  if (timezone !== undefined && !(typeof timezone === 'string' && isTimezone(timezone))) {
+    return 'timezone must be an IANA time zone such as Europe/Berlin';
+  }
+  if (
+    acceptLanguage !== undefined &&
+    !(
+      typeof acceptLanguage === 'string' &&
+      acceptLanguage.split(',').every((range) => LANGUAGE_RANGE.test(range.trim()))
+    )
+  ) {
+    return 'acceptLanguage must be an Accept-Language header value such as de-DE,de;q=0.9';
+  }
+  return null;
+}
+
+// Google's uule is a base64 protobuf: role 2, producer 32 and the canonical
+// location name ("Austin,Texas,United States") as field 4.
+export function encodeUule(name) {
+  const text = Buffer.from(name.trim(), 'utf8');
+  const length = [];
+  let remaining = text.length;
+  do {
+    length.push((remaining & 0x7f) | (remaining > 0x7f ? 0x80 : 0));
+    remaining >>= 7;
+  } while (remaining);
+  const message = Buffer.concat([Buffer.from([0x08, 0x02, 0x10, 0x20, 0x22, ...length]), text]);
+  return `w+${message.toString('base64')}`;
+}
+
+// Applies the emulation fields to the page before it navigates and returns
+// the locale to echo in the response.
+export async function applyLocale(page, payload, { origin = 'https://www.google.com' } = {}) {
+  const { lang = 'en', gl, location, geolocation, timezone, acceptLanguage } = payload;
+  const { accuracy = 100 } = geolocation || {};
+  const applied = {
+    lang,
+    gl: gl ? gl.toLowerCase() : null,
+    location: location ? location.trim() : null,
+    uule: location ? encodeUule(location) : null,
+    geolocation: geolocation
+      ? { latitude: geolocation.latitude, longitude: geolocation.longitude, accuracy }
+      : null,
+    timezone: timezone || null,
+    acceptLanguage: acceptLanguage || null,
+  };
+  if (!geolocation && !timezone && !acceptLanguage) {
+    return applied;
+  }
+
+  const context = page.context();
+  const session = await context.newCDPSession(page);
+  const entry = { session, context, geolocation: false };
+  sessions.set(page, entry);
+  if (geolocation) {
+    // Permissions are context-wide, unlike the override; see resetLocale.
+    geolocationGrants.set(context, (geolocationGrants.get(context) || 0) + 1);
+    entry.geolocation = true;
+    await context.grantPermissions(['geolocation'], { origin });
+    await session.send('Emulation.setGeolocationOverride', applied.geolocation);
+  }
+  if (timezone) {
+    await session.send('Emulation.setTimezoneOverride', { timezoneId: timezone });
+  }
+  if (acceptLanguage) {
+    // The user agent override also sets navigator.languages and the header.
+    const userAgent = await page.evaluate(() => navigator.userAgent);
+    await session.send('Emulation.setUserAgentOverride', { userAgent, acceptLanguage });
+    const primary = acceptLanguage.split(',')[0].split(';')[0].trim();
+    if (primary !== '*') {
+      await session.send('Emulation.setLocaleOverride', { locale: primary });
+    }
+  }
+  return applied;
+}
+
+// Called by the page pool when a page is recycled or replaced.
+export async function resetLocale(page) {
+  const entry = sessions.get(page);
+  if (!entry) {
+    return;
+  }
+  sessions.delete(page);
+  const { session, context } = entry;
+  if (entry.geolocation) {
+    const remaining = geolocationGrants.get(context) - 1;
+    geolocationGrants.set(context, remaining);
+    // Nothing else in the service grants permissions, so clearing them all
+    // only takes back what geolocation jobs added.
+    if (!remaining) {
+      await context.clearPermissions();
+    }
+  }
+  // A closed page (crash, budget timeout) took its overrides with it.
+  if (page.isClosed()) {
+    return;
+  }
+  await session.send('Emulation.clearGeolocationOverride');
+  await session.send('Emulation.setTimezoneOverride', { timezoneId: '' });
+  await session.send('Emulation.setLocaleOverride', {});
+  await session.send('Emulation.setUserAgentOverride', { userAgent: '' });
+  await session.detach();
+}
@@ -0,0 +1,33 @@
+import { LOG_LEVEL } from './config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[LOG_LEVEL] || LEVELS.info;
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  stack: err.stack,
+});
+
+function write(level, bindings, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const line = { time: new Date().toISOString(), level, msg, ...bindings };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    line[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(line)}\n`);
+}
+
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger({ service: 'browser-service' });
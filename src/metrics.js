@@ -0,0 +1,169 @@
+import client from 'prom-client';
+import fs from 'fs';
+import { getProfilesStatus, getOpenProfileDirs } from './profiles.js';
+import { getPolitenessStatus } from './politeness.js';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'pb_' });
+
+export const jobDuration = new client.Histogram({
+  name: 'pb_job_duration_seconds',
+  help: 'Time from queueing a job until it finished, by route and outcome',
+  labelNames: ['route', 'outcome'],
+  buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 120],
+  registers: [registry],
+});
+
+export const jobsTotal = new client.Counter({
+  name: 'pb_jobs_total',
+  help: 'Finished jobs by route, outcome (success, blocked, error, timeout, cancelled, throttled) and blocker type',
+  labelNames: ['route', 'outcome', 'blocker_type'],
+  registers: [registry],
+});
+
+export const contextLaunches = new client.Counter({
+  name: 'pb_context_launches_total',
+  help: 'Persistent context launches by profile; reason is "initial" or "relaunch"',
+  labelNames: ['profile', 'reason'],
+  registers: [registry],
+});
+
+export const snippetFallbackFetches = new client.Counter({
+  name: 'pb_snippet_fallback_fetches_total',
+  help: 'Snippet fallback fetches made while enriching search results, by outcome',
+  labelNames: ['outcome'],
+  registers: [registry],
+});
+
+export const cacheRequests = new client.Counter({
+  name: 'pb_cache_requests_total',
+  help: 'Result cache lookups by route; outcome is "hit" or "miss"',
+  labelNames: ['route', 'outcome'],
+  registers: [registry],
+});
+
+export const apiKeyRequests = new client.Counter({
+  name: 'pb_api_key_requests_total',
+  help: 'Job requests per API key; outcome is "accepted", "rate_limited" or "forbidden"',
+  labelNames: ['key', 'outcome'],
+  registers: [registry],
+});
+
+new client.Gauge({
+  name: 'pb_queue_depth',
+  help: 'Jobs per profile queue; state is "queued" (waiting) or "pending" (running)',
+  labelNames: ['profile', 'state'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const profile of getProfilesStatus()) {
+      this.set({ profile: profile.id, state: 'queued' }, profile.queueSize);
+      this.set({ profile: profile.id, state: 'pending' }, profile.pending);
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'pb_page_pool_utilization',
+  help: 'Share of pool pages not idle, per profile',
+  labelNames: ['profile'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const profile of getProfilesStatus()) {
+      if (profile.pool) {
+        this.set({ profile: profile.id }, profile.pool.utilization);
+      }
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'pb_host_backoff_level',
+  help: 'Adaptive backoff level per throttled host rule (0 = normal pace)',
+  labelNames: ['host'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    for (const bucket of getPolitenessStatus()) {
+      this.set({ host: bucket.host }, bucket.backoffLevel);
+    }
+  },
+});
+
+function readProcessTable() {
+  const processes = new Map();
+  for (const name of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(name)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${name}/stat`, 'utf8');
+      const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+      const status = fs.readFileSync(`/proc/${name}/status`, 'utf8');
+      const rssMatch = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+      const cmdline = fs.readFileSync(`/proc/${name}/cmdline`, 'utf8');
+      processes.set(Number(name), {
+        ppid,
+        rss: rssMatch ? Number(rssMatch[1]) * 1024 : 0,
+        cmdline,
+      });
+    } catch (_err) {
+      // process exited while scanning
+    }
+  }
+  return processes;
+}
+
+function sumProcessTree(processes, rootPid) {
+  let total = 0;
+  const stack = [rootPid];
+  while (stack.length) {
+    const pid = stack.pop();
+    total += processes.get(pid).rss;
+    for (const [childPid, child] of processes) {
+      if (child.ppid === pid) stack.push(childPid);
+    }
+  }
+  return total;
+}
+
+new client.Gauge({
+  name: 'pb_browser_memory_bytes',
+  help: 'Resident memory of each profile browser process tree (Linux only)',
+  labelNames: ['profile'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    const profiles = getOpenProfileDirs();
+    if (process.platform !== 'linux' || !profiles.length) return;
+    const processes = readProcessTable();
+    for (const { id, dir } of profiles) {
+      const marker = `--user-data-dir=${dir}\0`;
+      for (const [pid, proc] of processes) {
+        const parent = processes.get(proc.ppid);
+        if (proc.cmdline.includes(marker) && !(parent && parent.cmdline.includes(marker))) {
+          this.set({ profile: id }, sumProcessTree(processes, pid));
+          break;
+        }
+      }
+    }
+  },
+});
+
+export function recordJob(route, durationMs, result, error) {
+  let outcome = 'success';
+  let blockerType = '';
+  if (error && error.name === 'JobTimeoutError') {
+    outcome = 'timeout';
+  } else if (error && error.name === 'JobCancelledError') {
+    outcome = 'cancelled';
+  } else if (error && error.name === 'HostThrottledError') {
+    outcome = 'throttled';
+  } else if (error) {
+    outcome = 'error';
+  } else if (result && result.blocked) {
+    outcome = 'blocked';
+    blockerType = (result.blocker && result.blocker.type) || 'unknown';
+  }
+  jobDuration.observe({ route, outcome }, durationMs / 1000);
+  jobsTotal.inc({ route, outcome, blocker_type: blockerType });
+}
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { MODULES_DIR, NAVIGATION_TIMEOUT } from './config.js';
+import { getHandler, registerHandler, unregisterHandler } from './handlers/index.js';
+import { pickNavigationOptions, navigatePage } from './navigation.js';
+import { detectAccessBlocker, buildBlockerPayload } from './blockers.js';
+import { checkAccess, dismissConsent } from './consent.js';
+import { validateSchema, checkSchema } from './schema.js';
+import { validateSteps, runSteps } from './steps.js';
+import { validateExtract, runExtract } from './extract.js';
+import { logger } from './logger.js';
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]{0,47}$/;
+// Top-level routes a module may not shadow.
+const RESERVED_NAMES = [
+  'jobs',
+  'reset',
+  'cookies',
+  'storage-state',
+  'keys',
+  'blocker-rules',
+  'health',
+  'metrics',
+  'modules',
+  'artifacts',
+];
+const RELOAD_DEBOUNCE = 200;
+
+// file -> { name, version, loadedAt, error }
+const loaded = new Map();
+let watcher;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForAnySelector(page, selectors, { timeout = NAVIGATION_TIMEOUT } = {}) {
+  const list = [].concat(selectors);
+  try {
+    return await Promise.any(
+      list.map((selector) => page.waitForSelector(selector, { timeout }).then(() => selector))
+    );
+  } catch (_err) {
+    return null;
+  }
+}
+
+// The SDK handed to every module. Navigation helpers already carry the
+// job's logger and phase tracking.
+function createHelpers({ log, setPhase }) {
+  return {
+    navigate: (page, options) =>
+      navigatePage(page, { ...pickNavigationOptions(options), log, setPhase }),
+    detectAccessBlocker: (page, options = {}) => detectAccessBlocker(page, { log, ...options }),
+    buildBlockerPayload,
+    checkAccess: (page, options = {}) => checkAccess(page, { log, ...options }),
+    dismissConsent: (page, options = {}) => dismissConsent(page, { log, ...options }),
+    runSteps: (page, steps) => {
+      const invalid = validateSteps(steps);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+      return runSteps(page, steps, { log });
+    },
+    extract: (page, fields) => {
+      const invalid = validateExtract(fields);
+      if (invalid) {
+        throw new Error(invalid);
+      }
+      return runExtract(page, fields);
+    },
+    sleep,
+    waitForAnySelector,
+    waitForSelector: async (page, selector, options) =>
+      (await waitForAnySelector(page, selector, options)) !== null,
+    waitForIdle: (page, { timeout = NAVIGATION_TIMEOUT } = {}) =>
+      page.waitForLoadState('networkidle', { timeout }).then(
+        () => true,
+        () => false
+      ),
+  };
+}
+
+function checkModule(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return 'module must export a default object';
+  }
+  if (typeof definition.name !== 'string' || !NAME_PATTERN.test(definition.name)) {
+    return 'name must be lowercase letters, digits and dashes';
+  }
+  if (RESERVED_NAMES.includes(definition.name)) {
+    return `name "${definition.name}" is reserved`;
+  }
+  if (typeof definition.handler !== 'function') {
+    return 'handler must be a function';
+  }
+  if (definition.schema !== undefined) {
+    return checkSchema(definition.schema);
+  }
+  return null;
+}
+
+function toHandler(definition, file) {
+  const { name, schema, handler, host, cacheable = false, version = null } = definition;
+  return {
+    name,
+    route: `/${name}`,
+    host,
+    cacheable,
+    module: { file: path.basename(file), version },
+    validate: (payload) => validateSchema(schema, payload),
+    run: ({ page, payload, profileId, log, setPhase, httpFetch }) =>
+      handler({
+        page,
+        payload,
+        helpers: createHelpers({ log, setPhase }),
+        context: { profileId, log, setPhase, fetch: httpFetch },
+      }),
+  };
+}
+
+// Jobs already prepared keep the handler object they were given, so swapping
+// the registry entry never interrupts them.
+async function loadModule(file) {
+  const previous = loaded.get(file);
+  let definition;
+  try {
+    const stamp = fs.statSync(file).mtimeMs;
+    ({ default: definition } = await import(`${pathToFileURL(file).href}?v=${stamp}`));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      unloadModule(file);
+      return;
+    }
+    logger.error('module not loaded', { file, err });
+    loaded.set(file, { ...previous, error: err.message });
+    return;
+  }
+  const invalid = checkModule(definition);
+  const owner = Array.from(loaded).find(([, entry]) => entry.name === definition?.name);
+  const taken = !invalid && getHandler(definition.name) && (!owner || owner[0] !== file);
+  if (invalid || taken) {
+    const error = invalid || `name "${definition.name}" is already in use`;
+    logger.error('module not loaded', { file, error });
+    loaded.set(file, { ...previous, error });
+    return;
+  }
+  registerHandler(toHandler(definition, file));
+  if (previous && previous.name && previous.name !== definition.name) {
+    unregisterHandler(previous.name);
+  }
+  loaded.set(file, {
+    name: definition.name,
+    version: definition.version || null,
+    loadedAt: new Date().toISOString(),
+    error: null,
+  });
+  logger.info(previous ? 'module reloaded' : 'module loaded', {
+    file,
+    module: definition.name,
+    version: definition.version,
+  });
+}
+
+function unloadModule(file) {
+  const previous = loaded.get(file);
+  loaded.delete(file);
+  if (previous && previous.name) {
+    unregisterHandler(previous.name);
+    logger.info('module unloaded', { file, module: previous.name });
+  }
+}
+
+const isModuleFile = (name) => /\.(m?js)$/.test(name) && !name.startsWith('.');
+
+export async function loadModules() {
+  let names;
+  try {
+    names = fs.readdirSync(MODULES_DIR).filter(isModuleFile).sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('cannot read modules directory', { dir: MODULES_DIR, err });
+    }
+    return;
+  }
+  for (const name of names) {
+    await loadModule(path.join(MODULES_DIR, name));
+  }
+}
+
+export function watchModules() {
+  if (watcher) return;
+  const timers = new Map();
+  try {
+    watcher = fs.watch(MODULES_DIR, (_event, filename) => {
+      if (!filename || !isModuleFile(filename)) return;
+      const file = path.join(MODULES_DIR, filename);
+      clearTimeout(timers.get(file));
+      timers.set(
+        file,
+        setTimeout(() => {
+          timers.delete(file);
+          loadModule(file);
+        }, RELOAD_DEBOUNCE)
+      );
+    });
+    watcher.unref();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('cannot watch modules directory', { dir: MODULES_DIR, err });
+    }
+  }
+}
+
+export function getModulesStatus() {
+  return Array.from(loaded, ([file, entry]) => ({ file: path.basename(file), ...entry }));
+}
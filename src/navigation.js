@@ -0,0 +1,76 @@
+import { DEFAULT_WAIT_UNTIL, NAVIGATION_TIMEOUT } from './config.js';
+import { checkAccess } from './consent.js';
+import { logger } from './logger.js';
+
+export function pickNavigationOptions(body = {}) {
+  const {
+    url,
+    waitUntil = DEFAULT_WAIT_UNTIL,
+    waitForSelector,
+    waitForSelectorTimeout,
+    waitForTimeout = 0,
+    headers,
+    requiredSelectors = [],
+    autoConsent = false,
+    blockerRules,
+  } = body;
+  return {
+    url,
+    waitUntil,
+    waitForSelector,
+    waitForSelectorTimeout,
+    waitForTimeout,
+    headers,
+    requiredSelectors,
+    autoConsent,
+    blockerRules,
+  };
+}
+
+export async function navigatePage(page, options) {
+  const {
+    url,
+    waitUntil,
+    waitForSelector,
+    waitForSelectorTimeout,
+    waitForTimeout,
+    headers,
+    requiredSelectors,
+    autoConsent,
+    blockerRules,
+  } = options;
+  const log = options.log || logger;
+  const setPhase = options.setPhase || (() => {});
+  const extraHeaders =
+    headers && typeof headers === 'object' ? headers : {};
+  await page.setExtraHTTPHeaders(extraHeaders);
+
+  try {
+    await page.bringToFront();
+  } catch (err) {
+    log.warn('bringToFront failed', { err });
+  }
+
+  setPhase('navigating');
+  const response = await page.goto(url, { waitUntil, timeout: NAVIGATION_TIMEOUT });
+
+  setPhase('waiting');
+  if (waitForSelector) {
+    await page.waitForSelector(waitForSelector, {
+      timeout: waitForSelectorTimeout || NAVIGATION_TIMEOUT,
+    });
+  }
+
+  if (waitForTimeout) {
+    await page.waitForTimeout(waitForTimeout);
+  }
+
+  setPhase('extracting');
+  const { blocker, consent } = await checkAccess(page, {
+    requiredSelectors: Array.isArray(requiredSelectors) ? requiredSelectors : [],
+    autoConsent,
+    blockerRules,
+    log,
+  });
+  return { response, blocker, consent };
+}
@@ -0,0 +1,196 @@
+import { NAVIGATION_TIMEOUT, DEFAULT_VIEWPORT } from './config.js';
+import { logger } from './logger.js';
+import { resetLocale } from './locale.js';
+
+// Page lifecycle: idle -> reserved -> running -> recycle -> idle.
+export function createPagePool(context, { size, profileId }) {
+  const log = logger.child({ profileId });
+  const slots = [];
+  const waiters = [];
+  let nextSlotId = 1;
+  let replaced = 0;
+  let closed = false;
+
+  const watchPage = (slot, page) => {
+    page.on('crash', () => {
+      slot.crashed = true;
+      log.warn('page crashed', { page: slot.id });
+    });
+  };
+
+  const openPage = async (slot) => {
+    const page = await context.newPage();
+    page.setDefaultTimeout(NAVIGATION_TIMEOUT);
+    page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+    slot.crashed = false;
+    watchPage(slot, page);
+    return page;
+  };
+
+  const dropSlot = (slot) => {
+    const index = slots.indexOf(slot);
+    if (index !== -1) {
+      slots.splice(index, 1);
+    }
+    if (slot.page) {
+      resetLocale(slot.page).catch(() => {});
+    }
+    if (slot.page && !slot.page.isClosed()) {
+      slot.page.close().catch(() => {});
+    }
+  };
+
+  const replacePage = async (slot) => {
+    const previous = slot.page;
+    slot.page = undefined;
+    if (previous) {
+      await resetLocale(previous).catch(() => {});
+    }
+    if (previous && !previous.isClosed()) {
+      await previous.close().catch(() => {});
+    }
+    slot.page = await openPage(slot);
+    replaced += 1;
+  };
+
+  const createSlot = async () => {
+    const slot = { id: nextSlotId++, page: undefined, state: 'reserved', crashed: false, jobs: 0 };
+    slots.push(slot);
+    try {
+      slot.page = await openPage(slot);
+    } catch (err) {
+      dropSlot(slot);
+      throw err;
+    }
+    return slot;
+  };
+
+  const needsReplacement = (slot) => !slot.page || slot.page.isClosed() || slot.crashed;
+
+  const cleanPage = async (slot) => {
+    const { page } = slot;
+    page.removeAllListeners();
+    watchPage(slot, page);
+    await resetLocale(page);
+    await page.setExtraHTTPHeaders({});
+    const viewport = page.viewportSize();
+    if (
+      !viewport ||
+      viewport.width !== DEFAULT_VIEWPORT.width ||
+      viewport.height !== DEFAULT_VIEWPORT.height
+    ) {
+      await page.setViewportSize(DEFAULT_VIEWPORT);
+    }
+    await page.goto('about:blank', { timeout: NAVIGATION_TIMEOUT });
+  };
+
+  const handOff = (slot) => {
+    const waiter = waiters.shift();
+    if (waiter) {
+      slot.state = 'reserved';
+      waiter.resolve(slot);
+    } else {
+      slot.state = 'idle';
+    }
+  };
+
+  const serveWaiter = () => {
+    if (!waiters.length || closed || slots.length >= size) return;
+    const waiter = waiters.shift();
+    createSlot().then(waiter.resolve, waiter.reject);
+  };
+
+  const acquire = async () => {
+    if (closed) {
+      throw new Error('page pool is closed');
+    }
+    const idle = slots.find((slot) => slot.state === 'idle');
+    if (idle) {
+      idle.state = 'reserved';
+      if (needsReplacement(idle)) {
+        try {
+          await replacePage(idle);
+        } catch (err) {
+          dropSlot(idle);
+          throw err;
+        }
+      }
+      return idle;
+    }
+    if (slots.length < size) {
+      return createSlot();
+    }
+    return new Promise((resolve, reject) => {
+      waiters.push({ resolve, reject });
+    });
+  };
+
+  const release = async (slot) => {
+    slot.state = 'recycle';
+    if (closed) {
+      dropSlot(slot);
+      return;
+    }
+    try {
+      if (needsReplacement(slot)) {
+        await replacePage(slot);
+      } else {
+        await cleanPage(slot);
+      }
+    } catch (err) {
+      log.warn('recycling page failed, replacing', { page: slot.id, err });
+      try {
+        await replacePage(slot);
+      } catch (replaceErr) {
+        log.warn('replacing page failed', { page: slot.id, err: replaceErr });
+        dropSlot(slot);
+        serveWaiter();
+        return;
+      }
+    }
+    handOff(slot);
+  };
+
+  const use = async (handler) => {
+    const slot = await acquire();
+    slot.state = 'running';
+    slot.jobs += 1;
+    try {
+      return await handler(slot.page);
+    } finally {
+      await release(slot);
+    }
+  };
+
+  const close = async () => {
+    closed = true;
+    while (waiters.length) {
+      waiters.shift().reject(new Error('page pool is closed'));
+    }
+    await Promise.all(
+      slots.splice(0).map((slot) =>
+        slot.page && !slot.page.isClosed() ? slot.page.close().catch(() => {}) : null
+      )
+    );
+  };
+
+  const stats = () => {
+    const count = (state) => slots.filter((slot) => slot.state === state).length;
+    const busy = slots.length - count('idle');
+    return {
+      size,
+      open: slots.length,
+      idle: count('idle'),
+      reserved: count('reserved'),
+      running: count('running'),
+      recycling: count('recycle'),
+      waiting: waiters.length,
+      replaced,
+      utilization: size ? Number((busy / size).toFixed(2)) : 0,
+    };
+  };
+
+  const isReady = () => slots.some((slot) => slot.page && !slot.page.isClosed());
+
+  return { use, close, stats, isReady };
+}
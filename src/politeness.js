@@ -0,0 +1,156 @@
+import fs from 'fs';
+import { POLITENESS_FILE } from './config.js';
+import { HostThrottledError } from './errors.js';
+import { logger } from './logger.js';
+
+// Blocker types that make a host slow down.
+const BACKOFF_BLOCKERS = ['captcha', 'rate_limit'];
+
+function readConfig() {
+  const parsed = JSON.parse(fs.readFileSync(POLITENESS_FILE, 'utf8'));
+  const base = { minInterval: 0, maxPerWindow: 0, window: 60000, jitter: 0 };
+  return {
+    defaults: { ...base, ...parsed.default },
+    hosts: Object.fromEntries(
+      Object.entries(parsed.hosts || {}).map(([host, rule]) => [
+        host.toLowerCase(),
+        { ...base, ...parsed.default, ...rule },
+      ])
+    ),
+    backoff: { base: 5000, maxLevel: 6, decay: 600000, ...parsed.backoff },
+  };
+}
+
+const config = readConfig();
+const buckets = new Map();
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+// A host shares the bucket of the most specific configured suffix
+// (google.com covers www.google.com); other hosts get one bucket each.
+function getBucket(host) {
+  const hostname = String(host || '').toLowerCase().replace(/:\d+$/, '');
+  const key =
+    Object.keys(config.hosts)
+      .filter((suffix) => hostname === suffix || hostname.endsWith(`.${suffix}`))
+      .sort((a, b) => b.length - a.length)[0] || hostname;
+  if (!buckets.has(key)) {
+    buckets.set(key, {
+      key,
+      rule: config.hosts[key] || config.defaults,
+      starts: [],
+      level: 0,
+      lastEscalation: 0,
+    });
+  }
+  return buckets.get(key);
+}
+
+function decayBackoff(bucket, now) {
+  const { decay } = config.backoff;
+  while (bucket.level > 0 && now - bucket.lastEscalation >= decay) {
+    bucket.level -= 1;
+    bucket.lastEscalation += decay;
+  }
+}
+
+function currentInterval(bucket) {
+  const { minInterval } = bucket.rule;
+  if (!bucket.level) return minInterval;
+  return Math.max(minInterval, config.backoff.base) * 2 ** bucket.level;
+}
+
+// Earliest start that respects the minimum interval (after the latest
+// reservation) and the per-window cap. Jitter only spreads out jobs that
+// had to wait anyway.
+function nextSlot(bucket, now) {
+  const { maxPerWindow, window, jitter } = bucket.rule;
+  const { starts } = bucket;
+  while (starts.length > 1 && starts[0] < now - window) {
+    starts.shift();
+  }
+  let at = now;
+  if (starts.length) {
+    at = Math.max(at, starts[starts.length - 1] + currentInterval(bucket));
+  }
+  if (maxPerWindow && starts.length >= maxPerWindow) {
+    at = Math.max(at, starts[starts.length - maxPerWindow] + window);
+  }
+  if (at > now && jitter) {
+    at += Math.floor(Math.random() * jitter);
+  }
+  return at;
+}
+
+const isUnlimited = (bucket) =>
+  !bucket.rule.minInterval && !bucket.rule.maxPerWindow && !bucket.rule.jitter && !bucket.level;
+
+// Waits until the host may be hit again and returns { host, waited }.
+// Throws HostThrottledError instead of waiting longer than maxWait.
+export async function waitForHost(host, { maxWait, signal, log = logger } = {}) {
+  if (!host) return null;
+  const bucket = getBucket(host);
+  const now = Date.now();
+  decayBackoff(bucket, now);
+  if (isUnlimited(bucket)) return null;
+  const at = nextSlot(bucket, now);
+  const wait = at - now;
+  if (maxWait !== undefined && wait > maxWait) {
+    throw new HostThrottledError({ host: bucket.key, wait });
+  }
+  bucket.starts.push(at);
+  if (wait > 0) {
+    log.debug('waiting for host slot', { hostRule: bucket.key, wait, backoffLevel: bucket.level });
+    try {
+      await sleep(wait, signal);
+    } catch (err) {
+      bucket.starts.splice(bucket.starts.indexOf(at), 1);
+      throw err;
+    }
+  }
+  return { host: bucket.key, waited: Math.max(0, wait), backoffLevel: bucket.level };
+}
+
+export function reportHostOutcome(host, blocker, log = logger) {
+  if (!host || !blocker || !BACKOFF_BLOCKERS.includes(blocker.type)) return;
+  const bucket = getBucket(host);
+  const now = Date.now();
+  decayBackoff(bucket, now);
+  bucket.level = Math.min(bucket.level + 1, config.backoff.maxLevel);
+  bucket.lastEscalation = now;
+  log.warn('host backing off', {
+    hostRule: bucket.key,
+    blocker: blocker.type,
+    backoffLevel: bucket.level,
+    interval: currentInterval(bucket),
+  });
+}
+
+export function getPolitenessStatus() {
+  const now = Date.now();
+  return Array.from(buckets.values())
+    .filter((bucket) => !isUnlimited(bucket))
+    .map((bucket) => {
+      decayBackoff(bucket, now);
+      return {
+        host: bucket.key,
+        backoffLevel: bucket.level,
+        interval: currentInterval(bucket),
+        reserved: bucket.starts.filter((at) => at > now).length,
+      };
+    });
+}
@@ -0,0 +1,324 @@
+import { chromium } from 'playwright';
+import PQueue from 'p-queue';
+import fs from 'fs';
+import path from 'path';
+import { createPagePool } from './page-pool.js';
+import { contextLaunches } from './metrics.js';
+import {
+  pickProxy,
+  reportProxyOutcome,
+  sameProxy,
+  describeProxy,
+  openProxyBridge,
+  switchProxyBridge,
+  closeProxyBridge,
+  createProxyFetch,
+} from './proxies.js';
+import {
+  PROFILE_DIR,
+  DEFAULT_PROFILE_ID,
+  MAX_CONTEXTS,
+  HEADLESS,
+  DEFAULT_VIEWPORT,
+  CONCURRENCY,
+  PAGE_POOL_SIZE,
+  EXTRA_ARGS,
+} from './config.js';
+import { logger } from './logger.js';
+
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const profiles = new Map();
+
+export function resolveProfileId(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_PROFILE_ID;
+  }
+  if (typeof value !== 'string' || !PROFILE_ID_PATTERN.test(value)) {
+    return null;
+  }
+  return value;
+}
+
+function getProfile(profileId) {
+  let entry = profiles.get(profileId);
+  if (!entry) {
+    entry = {
+      id: profileId,
+      dir: path.join(PROFILE_DIR, profileId),
+      context: undefined,
+      pool: undefined,
+      launching: undefined,
+      queue: new PQueue({ concurrency: CONCURRENCY }),
+      lastUsed: 0,
+      launches: 0,
+      holds: 0,
+      proxy: null,
+      bridge: null,
+      switching: undefined,
+      active: 0,
+      idleWaiters: [],
+    };
+    profiles.set(profileId, entry);
+  }
+  return entry;
+}
+
+const isBusy = (entry) => entry.queue.size > 0 || entry.queue.pending > 0 || entry.holds > 0;
+
+function isContextAlive(context) {
+  if (!context) return false;
+  try {
+    const browser = context.browser();
+    return !browser || browser.isConnected();
+  } catch (err) {
+    logger.warn('existing context invalid, relaunching', { err });
+    return false;
+  }
+}
+
+async function closeContext(entry) {
+  const { context, pool, bridge } = entry;
+  entry.context = undefined;
+  entry.pool = undefined;
+  entry.bridge = null;
+  if (pool) {
+    await pool.close();
+  }
+  if (context) {
+    await context.close().catch(() => {});
+  }
+  await closeProxyBridge(bridge);
+}
+
+async function evictIdleContexts(exceptId) {
+  const open = Array.from(profiles.values())
+    .filter((entry) => entry.id !== exceptId && (entry.context || entry.launching))
+    .sort((a, b) => a.lastUsed - b.lastUsed);
+  let openCount = open.length;
+  for (const entry of open) {
+    if (openCount < MAX_CONTEXTS) break;
+    if (entry.launching || isBusy(entry)) continue;
+    logger.info('evicting idle profile', { profileId: entry.id });
+    await closeContext(entry);
+    openCount -= 1;
+  }
+  if (openCount >= MAX_CONTEXTS) {
+    logger.warn('MAX_CONTEXTS exceeded; all open profiles are busy', {
+      maxContexts: MAX_CONTEXTS,
+      open: openCount,
+    });
+  }
+}
+
+async function launchContext(entry) {
+  if (isContextAlive(entry.context)) {
+    return entry.context;
+  }
+  if (entry.launching) {
+    return entry.launching;
+  }
+
+  entry.launching = (async () => {
+    if (entry.context) {
+      await closeContext(entry);
+    }
+    await evictIdleContexts(entry.id);
+    fs.mkdirSync(entry.dir, { recursive: true });
+
+    let proxy;
+    if (entry.proxy) {
+      entry.bridge = await openProxyBridge(entry.proxy);
+      proxy = { server: entry.bridge };
+    }
+    const context = await chromium.launchPersistentContext(entry.dir, {
+      headless: HEADLESS,
+      proxy,
+      viewport: DEFAULT_VIEWPORT,
+      ignoreHTTPSErrors: true,
+      args: [
+        '--disable-blink-features=AutomationControlled',
+        '--disable-dev-shm-usage',
+        '--no-sandbox',
+        '--disable-gpu',
+        '--disable-features=IsolateOrigins,site-per-process',
+        '--disable-web-security',
+        '--disable-infobars',
+        '--lang=en-US,en',
+        `--window-size=${DEFAULT_VIEWPORT.width},${DEFAULT_VIEWPORT.height}`,
+        ...EXTRA_ARGS,
+      ],
+    });
+
+    await context.addInitScript(() => {
+      Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+    });
+
+    context.on('close', () => {
+      if (entry.context === context) {
+        const { pool, bridge } = entry;
+        entry.context = undefined;
+        entry.pool = undefined;
+        entry.bridge = null;
+        if (pool) {
+          pool.close();
+        }
+        closeProxyBridge(bridge);
+      }
+    });
+
+    contextLaunches.inc({ profile: entry.id, reason: entry.launches ? 'relaunch' : 'initial' });
+    entry.launches += 1;
+    entry.context = context;
+    entry.pool = createPagePool(context, { size: PAGE_POOL_SIZE, profileId: entry.id });
+    return context;
+  })()
+    .catch(async (err) => {
+      await closeProxyBridge(entry.bridge);
+      entry.bridge = null;
+      throw err;
+    })
+    .finally(() => {
+      entry.launching = undefined;
+    });
+
+  return entry.launching;
+}
+
+function releaseActive(entry) {
+  entry.active -= 1;
+  if (entry.active === 0) {
+    entry.idleWaiters.splice(0).forEach((resolve) => resolve());
+  }
+}
+
+// A context has one exit at a time, so changing proxy waits for the jobs
+// still running on the old one. A context with a bridge only repoints it; one
+// launched direct is relaunched once, onto a bridge.
+async function switchProxy(entry, proxy) {
+  while (entry.active > 0) {
+    await new Promise((resolve) => entry.idleWaiters.push(resolve));
+  }
+  logger.info('switching profile proxy', {
+    profileId: entry.id,
+    from: entry.proxy ? entry.proxy.id : null,
+    to: proxy ? proxy.id : null,
+  });
+  if (entry.bridge && isContextAlive(entry.context)) {
+    switchProxyBridge(entry.bridge, proxy);
+  } else {
+    await closeContext(entry);
+  }
+  entry.proxy = proxy;
+}
+
+async function acquireContext(entry, proxy) {
+  for (;;) {
+    if (entry.switching) {
+      await entry.switching;
+      continue;
+    }
+    if (sameProxy(entry.proxy, proxy)) break;
+    if (!entry.context && !entry.launching) {
+      entry.proxy = proxy;
+      break;
+    }
+    entry.switching = switchProxy(entry, proxy).finally(() => {
+      entry.switching = undefined;
+    });
+  }
+  entry.active += 1;
+  try {
+    await launchContext(entry);
+  } catch (err) {
+    releaseActive(entry);
+    throw err;
+  }
+}
+
+export async function runJob(profileId, handler, { priority = 0, signal, host, proxy: requestedProxy } = {}) {
+  const entry = getProfile(profileId);
+  entry.lastUsed = Date.now();
+  const task = entry.queue.add(
+    async () => {
+      // Cancelled while queued: give the slot straight back.
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      entry.lastUsed = Date.now();
+      const proxy = pickProxy(profileId, { host, requested: requestedProxy });
+      await acquireContext(entry, proxy);
+      const network = {
+        proxy: describeProxy(entry.proxy),
+        fetch: createProxyFetch(entry.proxy, entry.bridge),
+      };
+      try {
+        const result = await entry.pool.use((page) => handler(page, network));
+        reportProxyOutcome(profileId, proxy, { blocker: result && result.blocked ? result.blocker : null });
+        return result;
+      } catch (error) {
+        reportProxyOutcome(profileId, proxy, { error });
+        throw error;
+      } finally {
+        releaseActive(entry);
+      }
+    },
+    { priority }
+  );
+  if (!signal) {
+    return task;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    task.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Direct access to a profile's context outside the job queue (cookie and
+// storage-state management). The context is launched if needed and kept
+// from being evicted until fn settles.
+export async function withContext(profileId, fn) {
+  const entry = getProfile(profileId);
+  entry.lastUsed = Date.now();
+  entry.holds += 1;
+  try {
+    const context = await launchContext(entry);
+    return await fn(context);
+  } finally {
+    entry.holds -= 1;
+  }
+}
+
+export async function closeProfile(profileId) {
+  const entry = profiles.get(profileId);
+  if (entry) {
+    await closeContext(entry);
+  }
+}
+
+export async function closeAllProfiles() {
+  await Promise.all(Array.from(profiles.values()).map((entry) => closeContext(entry)));
+}
+
+export function getProfilesStatus() {
+  return Array.from(profiles.values()).map((entry) => ({
+    id: entry.id,
+    browserReady: Boolean(entry.pool && entry.pool.isReady()),
+    contextOpen: Boolean(entry.context),
+    pool: entry.pool ? entry.pool.stats() : null,
+    proxy: entry.context ? describeProxy(entry.proxy) : null,
+    queueSize: entry.queue.size,
+    pending: entry.queue.pending,
+    lastUsed: entry.lastUsed ? new Date(entry.lastUsed).toISOString() : null,
+  }));
+}
+
+export function getOpenProfileDirs() {
+  return Array.from(profiles.values())
+    .filter((entry) => entry.context)
+    .map((entry) => ({ id: entry.id, dir: entry.dir }));
+}
@@ -0,0 +1,240 @@
+import fs from 'fs';
+import { Server as ProxyServer } from 'proxy-chain';
+import { fetch as undiciFetch, ProxyAgent } from 'undici';
+import {
+  PROXY_POOL,
+  PROXY_ROTATION,
+  PROXY_ROTATE_EVERY,
+  PROXY_COOLDOWN,
+  PROXY_CONFIG_FILE,
+} from './config.js';
+import { logger } from './logger.js';
+
+export const PROXY_ROTATIONS = ['round-robin', 'sticky', 'failover'];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+// Blocker types and network errors that suggest the exit itself is burned or down.
+const FAILOVER_BLOCKERS = ['captcha', 'rate_limit', 'geo_block'];
+const PROXY_ERROR_PATTERN = /ERR_PROXY|ERR_TUNNEL|ERR_SOCKS|ERR_NO_SUPPORTED_PROXIES/;
+
+const plans = new Map();
+const bridges = new Map();
+
+// Returns { id, url, protocol, host, username, password } or null when invalid.
+export function parseProxyUrl(value) {
+  if (typeof value !== 'string') return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_err) {
+    return null;
+  }
+  if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname || !url.port) {
+    return null;
+  }
+  const protocol = url.protocol.slice(0, -1);
+  return {
+    id: `${protocol}://${url.host}`,
+    url: value,
+    protocol,
+    host: url.host,
+    username: decodeURIComponent(url.username),
+    password: decodeURIComponent(url.password),
+  };
+}
+
+function buildPlan(profileId, { proxies, rotation = PROXY_ROTATION, rotateEvery = PROXY_ROTATE_EVERY }) {
+  const parsed = proxies.map((value) => {
+    const proxy = parseProxyUrl(value);
+    if (!proxy) {
+      throw new Error(`invalid proxy URL for profile "${profileId}"`);
+    }
+    return proxy;
+  });
+  if (!PROXY_ROTATIONS.includes(rotation)) {
+    throw new Error(`unknown proxy rotation "${rotation}" for profile "${profileId}"`);
+  }
+  return {
+    proxies: parsed,
+    rotation,
+    rotateEvery: Math.max(1, rotateEvery),
+    index: -1,
+    current: null,
+    jobs: 0,
+    sticky: new Map(),
+    cooldowns: new Map(),
+  };
+}
+
+// PROXY_CONFIG_FILE maps profile ids to { "proxy": url | null } or
+// { "pool": [urls], "rotation": ..., "rotateEvery": n }.
+function readProfileConfig() {
+  if (!PROXY_CONFIG_FILE) return {};
+  const parsed = JSON.parse(fs.readFileSync(PROXY_CONFIG_FILE, 'utf8'));
+  return parsed.profiles || {};
+}
+
+const profileConfig = readProfileConfig();
+
+function getPlan(profileId) {
+  if (!plans.has(profileId)) {
+    const config = profileConfig[profileId];
+    let plan = null;
+    if (config && config.proxy !== undefined) {
+      plan = config.proxy ? buildPlan(profileId, { proxies: [config.proxy], rotation: 'failover' }) : null;
+    } else if (config && config.pool) {
+      plan = buildPlan(profileId, {
+        proxies: config.pool,
+        rotation: config.rotation,
+        rotateEvery: config.rotateEvery,
+      });
+    } else if (PROXY_POOL.length) {
+      plan = buildPlan(profileId, { proxies: PROXY_POOL });
+    }
+    plans.set(profileId, plan);
+  }
+  return plans.get(profileId);
+}
+
+// Fail at startup, not on a profile's first job, when the file is wrong.
+for (const profileId of Object.keys(profileConfig)) {
+  getPlan(profileId);
+}
+
+const isHealthy = (plan, proxy, now) => !(plan.cooldowns.get(proxy.id) > now);
+
+function nextHealthy(plan, now) {
+  const { proxies } = plan;
+  for (let step = 1; step <= proxies.length; step += 1) {
+    const index = (plan.index + step) % proxies.length;
+    if (isHealthy(plan, proxies[index], now)) {
+      plan.index = index;
+      return proxies[index];
+    }
+  }
+  // Everything is cooling down: keep rotating rather than stop working.
+  plan.index = (plan.index + 1) % proxies.length;
+  logger.warn('all proxies are cooling down', { proxies: proxies.length });
+  return proxies[plan.index];
+}
+
+// Picks the exit for the next job on a profile. A proxy given on the request
+// wins over the profile's plan; null means a direct connection.
+export function pickProxy(profileId, { host, requested } = {}) {
+  if (requested) {
+    return { ...parseProxyUrl(requested), source: 'request' };
+  }
+  const plan = getPlan(profileId);
+  if (!plan) return null;
+  const now = Date.now();
+  const currentOk = plan.current && isHealthy(plan, plan.current, now);
+  let proxy;
+  if (plan.rotation === 'sticky') {
+    proxy = plan.proxies.find((item) => item.id === plan.sticky.get(host));
+    if (!proxy || !isHealthy(plan, proxy, now)) {
+      proxy = nextHealthy(plan, now);
+      plan.sticky.set(host, proxy.id);
+    }
+  } else if (plan.rotation === 'failover') {
+    proxy = currentOk ? plan.current : nextHealthy(plan, now);
+  } else {
+    proxy = currentOk && plan.jobs < plan.rotateEvery ? plan.current : nextHealthy(plan, now);
+  }
+  if (proxy !== plan.current) {
+    plan.jobs = 0;
+  }
+  plan.jobs += 1;
+  plan.current = proxy;
+  return { ...proxy, source: plan.proxies.length > 1 ? 'pool' : 'profile' };
+}
+
+export function reportProxyOutcome(profileId, proxy, { blocker, error } = {}) {
+  if (!proxy || proxy.source === 'request') return;
+  const plan = getPlan(profileId);
+  if (!plan) return;
+  const burned = blocker && FAILOVER_BLOCKERS.includes(blocker.type);
+  const failed = error && PROXY_ERROR_PATTERN.test(error.message || '');
+  if (burned || failed) {
+    plan.cooldowns.set(proxy.id, Date.now() + PROXY_COOLDOWN);
+    logger.warn('proxy cooling down', {
+      profileId,
+      proxy: proxy.id,
+      reason: burned ? blocker.type : 'connection_error',
+      cooldown: PROXY_COOLDOWN,
+    });
+  }
+}
+
+export const sameProxy = (a, b) => (a ? a.url : null) === (b ? b.url : null);
+
+// What results report: never the credentials.
+export function describeProxy(proxy) {
+  if (!proxy) return null;
+  return { id: proxy.id, protocol: proxy.protocol, host: proxy.host, source: proxy.source };
+}
+
+// A persistent context keeps the proxy it was launched with, so proxied
+// profiles go through a local HTTP bridge whose upstream changes between jobs
+// (null is a direct connection). The bridge also covers what the clients
+// cannot do: Chromium cannot authenticate to SOCKS proxies and undici cannot
+// speak SOCKS at all.
+export async function openProxyBridge(proxy) {
+  const entry = { upstream: proxy ? proxy.url : null, dispatcher: null };
+  entry.server = new ProxyServer({
+    port: 0,
+    host: '127.0.0.1',
+    prepareRequestFunction: () => ({
+      requestAuthentication: false,
+      upstreamProxyUrl: entry.upstream,
+    }),
+  });
+  await entry.server.listen();
+  const bridge = `http://127.0.0.1:${entry.server.port}`;
+  bridges.set(bridge, entry);
+  return bridge;
+}
+
+// Only called with no job running on the profile; open tunnels still lead to
+// the old exit, so they are dropped and the clients reconnect.
+export function switchProxyBridge(bridge, proxy) {
+  const entry = bridges.get(bridge);
+  entry.upstream = proxy ? proxy.url : null;
+  entry.server.closeConnections();
+}
+
+export async function closeProxyBridge(bridge) {
+  const entry = bridge && bridges.get(bridge);
+  if (!entry) return;
+  bridges.delete(bridge);
+  if (entry.dispatcher) {
+    entry.dispatcher.destroy().catch(() => {});
+  }
+  await entry.server.close(true).catch(() => {});
+}
+
+// fetch() that leaves through the same exit as the browser. There is one
+// agent per bridge, closed with it.
+export function createProxyFetch(proxy, bridge) {
+  const entry = proxy && bridges.get(bridge);
+  if (!entry) return fetch;
+  if (!entry.dispatcher) {
+    entry.dispatcher = new ProxyAgent(bridge);
+  }
+  const { dispatcher } = entry;
+  return (url, options = {}) => undiciFetch(url, { ...options, dispatcher });
+}
+
+export function getProxyStatus() {
+  const now = Date.now();
+  return Array.from(plans.entries())
+    .filter(([, plan]) => plan)
+    .map(([profileId, plan]) => ({
+      profileId,
+      rotation: plan.rotation,
+      current: plan.current ? plan.current.id : null,
+      proxies: plan.proxies.map((proxy) => ({
+        id: proxy.id,
+        coolingDownUntil:
+          plan.cooldowns.get(proxy.id) > now ? new Date(plan.cooldowns.get(proxy.id)).toISOString() : null,
+      })),
+    }));
+}
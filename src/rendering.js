@@ -0,0 +1,8 @@
+export const RENDER_ENCODINGS = ['binary', 'base64'];
+
+export function serializeResult(result) {
+  if (result && Buffer.isBuffer(result.data)) {
+    return { ...result, encoding: 'base64', data: result.data.toString('base64') };
+  }
+  return result;
+}
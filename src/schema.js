@@ -0,0 +1,93 @@
+// Validates payloads against the JSON Schema subset modules use to describe
+// their input: type, required, properties, items, enum, minimum/maximum,
+// minLength/maxLength and pattern. Returns the first error or null.
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+export function validateSchema(schema, value, label = 'payload') {
+  if (!schema) return null;
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length && !types.some((type) => matchesType(type, value))) {
+    const expected = types.map((type) => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+    return `${label} must be ${expected.join(' or ')}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${label} must be one of ${schema.enum.join(', ')}`;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${label} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${label} must be at most ${schema.maximum}`;
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${label} must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${label} must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${label} must match ${schema.pattern}`;
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (const [index, item] of value.entries()) {
+      const error = validateSchema(schema.items, item, `${label}[${index}]`);
+      if (error) return error;
+    }
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        return `${label === 'payload' ? key : `${label}.${key}`} is required`;
+      }
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const error = validateSchema(property, value[key], label === 'payload' ? key : `${label}.${key}`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Checks that a module schema only uses keywords validateSchema understands.
+export function checkSchema(schema, label = 'schema') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return `${label} must be an object`;
+  }
+  const types = schema.type ? [].concat(schema.type) : [];
+  const unknown = types.find((type) => !TYPES.includes(type));
+  if (unknown) {
+    return `${label}.type "${unknown}" is not supported`;
+  }
+  if (schema.required !== undefined && !Array.isArray(schema.required)) {
+    return `${label}.required must be an array`;
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    return `${label}.enum must be an array`;
+  }
+  if (schema.items !== undefined) {
+    const error = checkSchema(schema.items, `${label}.items`);
+    if (error) return error;
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    const error = checkSchema(property, `${label}.properties.${key}`);
+    if (error) return error;
+  }
+  return null;
+}
@@ -0,0 +1,302 @@
+import { NAVIGATION_TIMEOUT } from './config.js';
+import { StepFailedError } from './errors.js';
+import { logger } from './logger.js';
+
+const MAX_STEPS = 50;
+const MAX_DEPTH = 3;
+const WAIT_STATES = ['attached', 'detached', 'visible', 'hidden'];
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+const BUTTONS = ['left', 'right', 'middle'];
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositive = (value) => isNumber(value) && value > 0;
+const isCount = (value) => Number.isInteger(value) && value > 0;
+
+// Fields each action needs; other options are checked in checkOptions.
+const ACTIONS = {
+  click: ['selector'],
+  fill: ['selector'],
+  press: ['key'],
+  select: ['selector'],
+  hover: ['selector'],
+  scroll: [],
+  waitForSelector: ['selector'],
+  waitForNavigation: [],
+  waitForResponse: ['url'],
+  if: ['selector'],
+};
+
+function checkOptions(step) {
+  const { action } = step;
+  if (step.selector !== undefined && !isString(step.selector)) {
+    return 'selector must be a string';
+  }
+  if (action === 'click') {
+    if (step.button !== undefined && !BUTTONS.includes(step.button)) {
+      return `button must be one of ${BUTTONS.join(', ')}`;
+    }
+    if (step.clickCount !== undefined && !isCount(step.clickCount)) {
+      return 'clickCount must be a positive integer';
+    }
+  }
+  if (action === 'fill' && typeof step.value !== 'string') {
+    return 'value must be a string';
+  }
+  if (
+    action === 'select' &&
+    !(typeof step.value === 'string' || (Array.isArray(step.value) && step.value.every(isString)))
+  ) {
+    return 'value must be a string or an array of strings';
+  }
+  if (action === 'scroll') {
+    for (const field of ['x', 'y']) {
+      if (step[field] !== undefined && !isNumber(step[field])) {
+        return `${field} must be a number`;
+      }
+    }
+    if (step.times !== undefined && !isCount(step.times)) {
+      return 'times must be a positive integer';
+    }
+    if (step.delay !== undefined && !(isNumber(step.delay) && step.delay >= 0)) {
+      return 'delay must be a non-negative number';
+    }
+  }
+  if (
+    action === 'waitForSelector' &&
+    step.state !== undefined &&
+    !WAIT_STATES.includes(step.state)
+  ) {
+    return `state must be one of ${WAIT_STATES.join(', ')}`;
+  }
+  if (action === 'waitForNavigation') {
+    if (step.url !== undefined && !isString(step.url)) {
+      return 'url must be a string';
+    }
+    if (step.waitUntil !== undefined && !WAIT_UNTIL.includes(step.waitUntil)) {
+      return `waitUntil must be one of ${WAIT_UNTIL.join(', ')}`;
+    }
+  }
+  if (action === 'waitForResponse' && step.status !== undefined && !Number.isInteger(step.status)) {
+    return 'status must be an integer';
+  }
+  return null;
+}
+
+function checkStep(step, label, depth) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    return `${label} must be an object`;
+  }
+  const required = ACTIONS[step.action];
+  if (!required) {
+    return `${label}.action must be one of ${Object.keys(ACTIONS).join(', ')}`;
+  }
+  for (const field of required) {
+    if (!isString(step[field])) {
+      return `${label}.${field} is required for "${step.action}"`;
+    }
+  }
+  if (step.timeout !== undefined && !isPositive(step.timeout)) {
+    return `${label}.timeout must be a positive number`;
+  }
+  if (step.optional !== undefined && typeof step.optional !== 'boolean') {
+    return `${label}.optional must be a boolean`;
+  }
+  const invalid = checkOptions(step);
+  if (invalid) {
+    return `${label}.${invalid}`;
+  }
+  if (step.action === 'if') {
+    if (depth >= MAX_DEPTH) {
+      return `${label} nests "if" steps deeper than ${MAX_DEPTH} levels`;
+    }
+    if (!Array.isArray(step.then)) {
+      return `${label}.then must be an array of steps`;
+    }
+    if (step.else !== undefined && !Array.isArray(step.else)) {
+      return `${label}.else must be an array of steps`;
+    }
+    for (const branch of ['then', 'else']) {
+      for (const [index, child] of (step[branch] || []).entries()) {
+        const error = checkStep(child, `${label}.${branch}[${index}]`, depth + 1);
+        if (error) return error;
+      }
+    }
+  }
+  return null;
+}
+
+const countSteps = (steps) =>
+  steps.reduce((sum, step) => {
+    const nested = step.action === 'if' ? [...step.then, ...(step.else || [])] : [];
+    return sum + 1 + countSteps(nested);
+  }, 0);
+
+export function validateSteps(steps) {
+  if (steps === undefined) return null;
+  if (!Array.isArray(steps)) {
+    return 'steps must be an array';
+  }
+  for (const [index, step] of steps.entries()) {
+    const error = checkStep(step, `steps[${index}]`, 0);
+    if (error) return error;
+  }
+  if (countSteps(steps) > MAX_STEPS) {
+    return `steps may contain at most ${MAX_STEPS} steps`;
+  }
+  return null;
+}
+
+// Actions that can set off a navigation or request; a wait step right after
+// one starts listening before it runs, or the event may be over too soon.
+const TRIGGERS = ['click', 'fill', 'press', 'select', 'hover', 'scroll'];
+const WAITS = ['waitForNavigation', 'waitForResponse'];
+
+// Records the first event the wait step accepts. The step's timeout only
+// starts in `until`, when the step itself runs.
+function armWait(page, step) {
+  const navigation = step.action === 'waitForNavigation';
+  const event = navigation ? 'framenavigated' : 'response';
+  const matches = navigation
+    ? (frame) => frame === page.mainFrame() && (!step.url || frame.url().includes(step.url))
+    : (response) =>
+        response.url().includes(step.url) &&
+        (step.status === undefined || response.status() === step.status);
+  let outcome = null;
+  let settle = () => {};
+  const onEvent = (value) => {
+    if (!outcome && matches(value)) {
+      outcome = { ok: true };
+      settle();
+    }
+  };
+  const onClose = () => {
+    outcome = outcome || { ok: false, message: `${step.action}: page closed` };
+    settle();
+  };
+  page.on(event, onEvent);
+  page.once('close', onClose);
+  return {
+    until: (timeout) =>
+      new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          const message = `${step.action}: Timeout ${timeout}ms exceeded.`;
+          outcome = outcome || { ok: false, message };
+          settle();
+        }, timeout);
+        settle = () => {
+          clearTimeout(timer);
+          if (outcome.ok) resolve();
+          else reject(new Error(outcome.message));
+        };
+        if (outcome) settle();
+      }),
+    dispose: () => {
+      page.off(event, onEvent);
+      page.off('close', onClose);
+    },
+  };
+}
+
+async function performStep(page, step, armed) {
+  const timeout = step.timeout || NAVIGATION_TIMEOUT;
+  const locator = step.selector ? page.locator(step.selector).first() : null;
+  switch (step.action) {
+    case 'click':
+      return locator.click({ button: step.button, clickCount: step.clickCount, timeout });
+    case 'fill':
+      return locator.fill(step.value, { timeout });
+    case 'press':
+      return locator ? locator.press(step.key, { timeout }) : page.keyboard.press(step.key);
+    case 'select':
+      return locator.selectOption(step.value, { timeout });
+    case 'hover':
+      return locator.hover({ timeout });
+    case 'scroll':
+      if (locator) {
+        return locator.scrollIntoViewIfNeeded({ timeout });
+      }
+      for (let i = 0; i < (step.times || 1); i += 1) {
+        await page.mouse.wheel(step.x || 0, step.y === undefined ? 800 : step.y);
+        await page.waitForTimeout(step.delay === undefined ? 250 : step.delay);
+      }
+      return undefined;
+    case 'waitForSelector':
+      return page.waitForSelector(step.selector, { state: step.state, timeout });
+    case 'waitForNavigation':
+    case 'waitForResponse': {
+      const deadline = Date.now() + timeout;
+      const wait = armed || armWait(page, step);
+      try {
+        await wait.until(timeout);
+      } finally {
+        wait.dispose();
+      }
+      if (step.action === 'waitForNavigation') {
+        const remaining = Math.max(deadline - Date.now(), 1);
+        await page.waitForLoadState(step.waitUntil || 'load', { timeout: remaining });
+      }
+      return undefined;
+    }
+    default:
+      throw new Error(`unknown action "${step.action}"`);
+  }
+}
+
+async function runList(page, steps, { path, log, report }) {
+  let armed = null;
+  for (const [index, step] of steps.entries()) {
+    const stepPath = `${path}[${index}]`;
+    const current = armed;
+    const next = steps[index + 1];
+    armed =
+      TRIGGERS.includes(step.action) && next && WAITS.includes(next.action)
+        ? armWait(page, next)
+        : null;
+
+    const started = Date.now();
+    const entry = { step: stepPath, action: step.action };
+    report.push(entry);
+    try {
+      if (step.action === 'if') {
+        entry.matched = (await page.locator(step.selector).count()) > 0;
+        const branch = entry.matched ? step.then : step.else || [];
+        await runList(page, branch, {
+          path: `${stepPath}.${entry.matched ? 'then' : 'else'}`,
+          log,
+          report,
+        });
+      } else {
+        await performStep(page, step, current);
+      }
+      entry.ok = true;
+    } catch (err) {
+      entry.ok = false;
+      entry.error = err.message.split('\n')[0];
+      if (!step.optional || err instanceof StepFailedError) {
+        entry.duration = Date.now() - started;
+        if (armed) armed.dispose();
+        throw err instanceof StepFailedError
+          ? err
+          : new StepFailedError({ path: stepPath, action: step.action, message: entry.error });
+      }
+      log.debug('optional step failed', { step: stepPath, action: step.action, err: entry.error });
+    }
+    entry.duration = Date.now() - started;
+  }
+}
+
+// Runs steps in order and returns one timing entry per executed step,
+// including steps inside the branch an "if" took.
+export async function runSteps(page, steps, { log = logger } = {}) {
+  const report = [];
+  try {
+    await runList(page, steps, { path: 'steps', log, report });
+  } catch (err) {
+    if (err instanceof StepFailedError) {
+      err.details.steps = report;
+    }
+    throw err;
+  }
+  return report;
+}
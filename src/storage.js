@@ -0,0 +1,149 @@
+const DOMAIN_PATTERN = /^[a-z0-9.-]+$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accepts "a.com,b.com" or ["a.com", "b.com"]; returns null when any entry is invalid.
+export function parseDomains(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const domains = [];
+  for (const item of list) {
+    if (typeof item !== 'string') return null;
+    const domain = item.trim().toLowerCase().replace(/^\./, '');
+    if (!domain) continue;
+    if (!DOMAIN_PATTERN.test(domain)) return null;
+    domains.push(domain);
+  }
+  return domains;
+}
+
+export function matchesDomain(host, domains) {
+  if (!domains.length) return true;
+  const normalized = String(host || '').toLowerCase().replace(/^\./, '');
+  return domains.some((domain) => normalized === domain || normalized.endsWith(`.${domain}`));
+}
+
+const originHost = (origin) => {
+  try {
+    return new URL(origin).hostname;
+  } catch (_err) {
+    return null;
+  }
+};
+
+const isHttpOrigin = (origin) => {
+  try {
+    const { protocol } = new URL(origin);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (_err) {
+    return false;
+  }
+};
+
+const cookieHost = (cookie) => cookie.domain || originHost(cookie.url);
+
+export function validateCookies(cookies) {
+  if (!Array.isArray(cookies)) {
+    return 'cookies must be an array';
+  }
+  for (const [index, cookie] of cookies.entries()) {
+    if (!cookie || typeof cookie !== 'object') {
+      return `cookies[${index}] must be an object`;
+    }
+    if (typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+      return `cookies[${index}] needs string name and value`;
+    }
+    if (!cookie.url && !cookie.domain) {
+      return `cookies[${index}] needs a url or domain`;
+    }
+  }
+  return null;
+}
+
+export function validateStorageState(state) {
+  if (!state || typeof state !== 'object') {
+    return 'storageState must be an object';
+  }
+  if (state.cookies !== undefined) {
+    const error = validateCookies(state.cookies);
+    if (error) return error;
+  }
+  if (state.origins !== undefined) {
+    if (!Array.isArray(state.origins)) {
+      return 'storageState.origins must be an array';
+    }
+    for (const [index, entry] of state.origins.entries()) {
+      if (!entry || !isHttpOrigin(entry.origin)) {
+        return `storageState.origins[${index}].origin must be an http(s) origin`;
+      }
+      if (entry.localStorage !== undefined && !Array.isArray(entry.localStorage)) {
+        return `storageState.origins[${index}].localStorage must be an array`;
+      }
+    }
+  }
+  return null;
+}
+
+export async function exportCookies(context, domains) {
+  const cookies = await context.cookies();
+  return cookies.filter((cookie) => matchesDomain(cookie.domain, domains));
+}
+
+export async function importCookies(context, cookies, domains) {
+  const accepted = cookies
+    .filter((cookie) => matchesDomain(cookieHost(cookie), domains))
+    .map((cookie) => (cookie.domain && !cookie.path ? { ...cookie, path: '/' } : cookie));
+  if (accepted.length) {
+    await context.addCookies(accepted);
+  }
+  return { imported: accepted.length, skipped: cookies.length - accepted.length };
+}
+
+export async function clearDomainCookies(context, domain) {
+  const before = await exportCookies(context, [domain]);
+  await context.clearCookies({ domain: new RegExp(`(^|\\.)${escapeRegExp(domain)}$`) });
+  return before.length;
+}
+
+export async function exportStorageState(context, domains) {
+  const state = await context.storageState();
+  return {
+    cookies: state.cookies.filter((cookie) => matchesDomain(cookie.domain, domains)),
+    origins: state.origins.filter((entry) => matchesDomain(originHost(entry.origin), domains)),
+  };
+}
+
+// localStorage can only be written from a document on the origin, so each
+// origin is loaded on a scratch page whose requests are answered locally.
+async function importOrigins(context, origins) {
+  const page = await context.newPage();
+  try {
+    await page.route('**/*', (route) =>
+      route.fulfill({ status: 200, contentType: 'text/html', body: '<!doctype html><title></title>' })
+    );
+    for (const { origin, localStorage = [] } of origins) {
+      await page.goto(origin);
+      await page.evaluate((items) => {
+        for (const { name, value } of items) {
+          window.localStorage.setItem(name, value);
+        }
+      }, localStorage);
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+export async function importStorageState(context, state, domains) {
+  const cookies = await importCookies(context, state.cookies || [], domains);
+  const origins = (state.origins || []).filter((entry) => matchesDomain(originHost(entry.origin), domains));
+  if (origins.length) {
+    await importOrigins(context, origins);
+  }
+  return {
+    cookies,
+    origins: { imported: origins.length, skipped: (state.origins || []).length - origins.length },
+  };
+}
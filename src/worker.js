@@ -0,0 +1,286 @@
+import Redis from 'ioredis';
+import os from 'os';
+import {
+  REDIS_URL,
+  REDIS_JOB_STREAM,
+  REDIS_RESULT_STREAM,
+  REDIS_DEAD_LETTER_STREAM,
+  REDIS_CONSUMER_GROUP,
+  REDIS_CONSUMER_NAME,
+  REDIS_STREAM_MAXLEN,
+  WORKER_CONCURRENCY,
+  WORKER_MAX_RETRIES,
+  WORKER_RETRY_DELAY,
+  WORKER_CLAIM_IDLE,
+} from './config.js';
+import { prepareJob, executeJob } from './execute.js';
+import { serializeResult } from './rendering.js';
+import { logger } from './logger.js';
+
+const BLOCK_MS = 5000;
+const CLAIM_INTERVAL = 30000;
+
+const consumerName = REDIS_CONSUMER_NAME || `${os.hostname()}-${process.pid}`;
+const inFlight = new Set();
+const inFlightIds = new Set();
+const retryTimers = new Set();
+const stats = { processed: 0, blocked: 0, failed: 0, retried: 0, deadLettered: 0 };
+let client;
+let reader;
+let running = false;
+let loopPromise;
+
+const toFields = (object) =>
+  Object.entries(object).flatMap(([key, value]) => [
+    key,
+    value === undefined || value === null ? '' : String(value),
+  ]);
+
+const fromFields = (fields) => {
+  const object = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    object[fields[i]] = fields[i + 1];
+  }
+  return object;
+};
+
+async function ensureGroup() {
+  try {
+    await client.xgroup('CREATE', REDIS_JOB_STREAM, REDIS_CONSUMER_GROUP, '$', 'MKSTREAM');
+  } catch (err) {
+    if (!String(err.message).includes('BUSYGROUP')) {
+      throw err;
+    }
+  }
+}
+
+async function publish(stream, entry) {
+  await client.xadd(stream, 'MAXLEN', '~', REDIS_STREAM_MAXLEN, '*', ...toFields(entry));
+}
+
+async function deadLetter(id, job, error) {
+  logger.warn('job dead-lettered', { jobId: job.job_id, traceId: job.trace_id, error });
+  await publish(REDIS_DEAD_LETTER_STREAM, {
+    ...job,
+    source_id: id,
+    error,
+    failed_at: new Date().toISOString(),
+    worker: consumerName,
+  });
+  await publish(REDIS_RESULT_STREAM, {
+    job_id: job.job_id,
+    trace_id: job.trace_id,
+    endpoint_module: job.endpoint_module,
+    status: 'failed',
+    error,
+    finished_at: new Date().toISOString(),
+    worker: consumerName,
+  });
+  stats.deadLettered += 1;
+}
+
+async function requeue(id, job, attempt) {
+  await publish(REDIS_JOB_STREAM, { ...job, retry_count: attempt });
+  await client.xack(REDIS_JOB_STREAM, REDIS_CONSUMER_GROUP, id);
+}
+
+// The entry stays pending until it is re-added, so a worker that stops during
+// the delay leaves it to be read again instead of losing it.
+function scheduleRetry(id, job, attempt) {
+  const delay = WORKER_RETRY_DELAY * 2 ** (attempt - 1);
+  const timer = setTimeout(() => {
+    retryTimers.delete(timer);
+    requeue(id, job, attempt).catch((err) => {
+      logger.error('could not requeue job', { streamId: id, err });
+    });
+  }, delay);
+  retryTimers.add(timer);
+  return delay;
+}
+
+async function handleEntry(id, job) {
+  const log = logger.child({
+    requestId: job.trace_id || job.job_id,
+    traceId: job.trace_id,
+    jobId: job.job_id,
+    tenantId: job.tenant_id,
+  });
+  let payload;
+  try {
+    payload = job.payload ? JSON.parse(job.payload) : {};
+  } catch (err) {
+    await deadLetter(id, job, `payload is not valid JSON: ${err.message}`);
+    await client.xack(REDIS_JOB_STREAM, REDIS_CONSUMER_GROUP, id);
+    return;
+  }
+
+  const prepared = prepareJob(job.endpoint_module, {
+    ...payload,
+    profileId: job.profile_id || payload.profileId,
+  });
+  if (prepared.error) {
+    await deadLetter(id, job, prepared.error);
+    await client.xack(REDIS_JOB_STREAM, REDIS_CONSUMER_GROUP, id);
+    return;
+  }
+
+  let result;
+  try {
+    result = await executeJob(prepared, { priority: Number(job.priority) || 0, log });
+  } catch (error) {
+    const retryCount = Number(job.retry_count) || 0;
+    const message = error.message || 'Unknown error';
+    stats.failed += 1;
+    if (retryCount < WORKER_MAX_RETRIES) {
+      const delay = scheduleRetry(id, job, retryCount + 1);
+      log.warn('job failed, requeueing', { attempt: retryCount + 1, delay, error: message });
+      stats.retried += 1;
+      return;
+    }
+    await deadLetter(id, job, message);
+    await client.xack(REDIS_JOB_STREAM, REDIS_CONSUMER_GROUP, id);
+    return;
+  }
+
+  const status = result && result.blocked ? 'blocked' : 'completed';
+  await publish(REDIS_RESULT_STREAM, {
+    job_id: job.job_id,
+    tenant_id: job.tenant_id,
+    trace_id: job.trace_id,
+    endpoint_module: job.endpoint_module,
+    profile_id: prepared.profileId,
+    status,
+    result: JSON.stringify(serializeResult(result)),
+    finished_at: new Date().toISOString(),
+    worker: consumerName,
+  });
+  await client.xack(REDIS_JOB_STREAM, REDIS_CONSUMER_GROUP, id);
+  stats.processed += 1;
+  if (status === 'blocked') {
+    stats.blocked += 1;
+  }
+}
+
+function dispatch(entries) {
+  const jobs = entries
+    .filter(([id, fields]) => fields && !inFlightIds.has(id))
+    .map(([id, fields]) => ({ id, job: fromFields(fields) }))
+    .sort((a, b) => (Number(b.job.priority) || 0) - (Number(a.job.priority) || 0));
+  for (const { id, job } of jobs) {
+    inFlightIds.add(id);
+    const task = handleEntry(id, job)
+      .catch((err) => {
+        // Leave the entry pending so it is claimed again once Redis is reachable.
+        logger.error('could not settle stream entry', { streamId: id, err });
+      })
+      .finally(() => {
+        inFlight.delete(task);
+        inFlightIds.delete(id);
+      });
+    inFlight.add(task);
+  }
+}
+
+async function readEntries(cursor, count) {
+  const reply = await reader.xreadgroup(
+    'GROUP',
+    REDIS_CONSUMER_GROUP,
+    consumerName,
+    'COUNT',
+    count,
+    'BLOCK',
+    BLOCK_MS,
+    'STREAMS',
+    REDIS_JOB_STREAM,
+    cursor
+  );
+  return reply ? reply[0][1] : [];
+}
+
+async function claimStale(count) {
+  const [, entries] = await client.xautoclaim(
+    REDIS_JOB_STREAM,
+    REDIS_CONSUMER_GROUP,
+    consumerName,
+    WORKER_CLAIM_IDLE,
+    '0-0',
+    'COUNT',
+    count
+  );
+  return entries;
+}
+
+async function consume() {
+  // Entries this consumer read before a crash are still pending; finish them first.
+  let cursor = '0';
+  let lastClaim = 0;
+  while (running) {
+    if (inFlight.size >= WORKER_CONCURRENCY) {
+      await Promise.race(inFlight);
+      continue;
+    }
+    const capacity = WORKER_CONCURRENCY - inFlight.size;
+    try {
+      if (cursor === '>' && Date.now() - lastClaim > CLAIM_INTERVAL) {
+        lastClaim = Date.now();
+        const claimed = await claimStale(capacity);
+        if (claimed.length) {
+          dispatch(claimed);
+          continue;
+        }
+      }
+      const entries = await readEntries(cursor, capacity);
+      if (cursor !== '>') {
+        cursor = entries.length ? entries[entries.length - 1][0] : '>';
+      }
+      dispatch(entries);
+    } catch (err) {
+      if (!running) break;
+      logger.error('worker read failed', { err });
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+export async function startWorker() {
+  client = new Redis(REDIS_URL, { maxRetriesPerRequest: null });
+  reader = client.duplicate();
+  for (const connection of [client, reader]) {
+    connection.on('error', (err) => {
+      logger.warn('redis connection error', { err: err.message });
+    });
+  }
+  await ensureGroup();
+  running = true;
+  loopPromise = consume();
+  logger.info('worker started', {
+    consumer: consumerName,
+    stream: REDIS_JOB_STREAM,
+    group: REDIS_CONSUMER_GROUP,
+  });
+}
+
+export async function stopWorker() {
+  if (!client) return;
+  running = false;
+  for (const timer of retryTimers) {
+    clearTimeout(timer);
+  }
+  retryTimers.clear();
+  reader.disconnect();
+  await loopPromise;
+  await Promise.allSettled(Array.from(inFlight));
+  await client.quit().catch(() => {});
+  client = undefined;
+}
+
+export function getWorkerStatus() {
+  return {
+    enabled: running,
+    stream: REDIS_JOB_STREAM,
+    group: REDIS_CONSUMER_GROUP,
+    consumer: consumerName,
+    inFlight: inFlight.size,
+    ...stats,
+  };
+}
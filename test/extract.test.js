@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateExtract, applyTransforms, runExtract } from '../src/extract.js';
+import { launchBrowser } from './helpers.js';
+
+test('number reads both decimal conventions', () => {
+  assert.equal(applyTransforms('$1,299.99', 'number'), 1299.99);
+  assert.equal(applyTransforms('1.299,99 €', 'number'), 1299.99);
+  assert.equal(applyTransforms('12,50', 'number'), 12.5);
+  assert.equal(applyTransforms('1,234', 'number'), 1234);
+  assert.equal(applyTransforms('0.125', 'number'), 0.125);
+  assert.equal(applyTransforms('1 234 reviews', 'number'), 1234);
+  assert.equal(applyTransforms("CHF 1'234.50", 'number'), 1234.5);
+  assert.equal(applyTransforms('-3.5°', 'number'), -3.5);
+  assert.equal(applyTransforms('Page 2 of 9', 'number'), 2);
+  assert.equal(applyTransforms('none', 'number'), null);
+});
+
+test('applyTransforms runs transforms in order', () => {
+  assert.equal(applyTransforms('  Red \n Mug ', 'trim'), 'Red Mug');
+  assert.equal(applyTransforms('Rated 4.5 of 5', [{ regex: 'Rated ([\\d.]+)' }, 'number']), 4.5);
+  assert.equal(
+    applyTransforms('SKU: ab-12', { regex: 'sku: (\\w+)-(\\d+)', flags: 'i', group: 2 }),
+    '12'
+  );
+  assert.equal(applyTransforms('no match', [{ regex: '(\\d+)' }, 'number']), null);
+  assert.deepEqual(applyTransforms('Now €24,90', 'price'), { amount: 24.9, currency: '€' });
+  assert.deepEqual(applyTransforms('US$ 5', 'price'), { amount: 5, currency: 'US$' });
+  assert.deepEqual(applyTransforms('49.00 GBP', 'price'), { amount: 49, currency: 'GBP' });
+  assert.equal(
+    applyTransforms('../p/1?x=2', 'url', { baseUrl: 'https://shop.example/c/mugs' }),
+    'https://shop.example/p/1?x=2'
+  );
+  assert.equal(applyTransforms('2025-03-04T10:00:00Z', 'date'), '2025-03-04T10:00:00.000Z');
+  assert.equal(applyTransforms('soon', 'date'), null);
+  assert.equal(applyTransforms(null, 'trim'), null);
+  assert.equal(applyTransforms(' raw ', undefined), ' raw ');
+});
+
+test('validateExtract names the offending field', () => {
+  assert.equal(validateExtract(undefined), null);
+  assert.equal(validateExtract([]), null);
+  assert.equal(validateExtract([{ name: 'title', selector: 'h1' }]), null);
+  assert.equal(validateExtract({}), 'extract must be a non-empty array');
+  assert.equal(validateExtract([{ name: 'title' }]), 'extract[0].selector is required');
+  assert.equal(
+    validateExtract([{ name: 'items', selector: '.item', all: true, fields: [{ name: 'self' }] }]),
+    null
+  );
+  assert.equal(
+    validateExtract([{ name: 'a', selector: 'b', transform: ['trim', 'upper'] }]),
+    'extract[0].transform[1] must be one of trim, number, price, url, date or { regex }'
+  );
+  assert.match(
+    validateExtract([{ name: 'a', selector: 'b', transform: { regex: '(' } }]),
+    /^extract\[0\]\.transform\[0\]\.regex is invalid/
+  );
+  assert.equal(
+    validateExtract([{ name: 'a', selector: 'b', transform: { regex: 'a'.repeat(201) } }]),
+    'extract[0].transform[0].regex must be at most 200 characters'
+  );
+  assert.equal(
+    validateExtract([{ name: 'a', selector: 'b', attr: 'x', fields: [{ name: 'c' }] }]),
+    'extract[0] cannot combine fields with attr or transform'
+  );
+  assert.equal(
+    validateExtract([
+      { name: 'a', selector: 'b', fields: [{ name: 'c', fields: [{ name: 'd', fields: [] }] }] },
+    ]),
+    'extract[0].fields[0].fields[0] nests fields deeper than 3 levels'
+  );
+  assert.equal(
+    validateExtract([
+      { name: 'a', selector: 'b' },
+      { name: 'a', selector: 'c' },
+    ]),
+    'extract[1].name "a" is used twice'
+  );
+});
+
+let browser = null;
+
+before(async () => {
+  browser = await launchBrowser();
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+});
+
+const CATALOG = `
+  <div class="card" data-sku="A1">
+    <h2> Red  Mug </h2><span class="price">$1,299.99</span><a href="../p/a1">view</a>
+  </div>
+  <div class="card" data-sku="B2"><h2>Blue Mug</h2><a href="/p/b2">view</a></div>
+  <p>Rated 4.5 out of 5 by 1 234 reviewers</p>`;
+
+test('runExtract collects nested lists with css, xpath and text selectors', async (t) => {
+  if (!browser) {
+    t.skip('SKIP_BROWSER_TESTS is set');
+    return;
+  }
+  const page = await browser.newPage();
+  try {
+    await page.route('**/*', (route) =>
+      route.fulfill({ status: 200, contentType: 'text/html', body: CATALOG })
+    );
+    await page.goto('https://shop.example/catalog/mugs');
+    const extracted = await runExtract(page, [
+      {
+        name: 'products',
+        selector: '.card',
+        all: true,
+        fields: [
+          { name: 'sku', attr: 'data-sku' },
+          { name: 'title', selector: 'h2', transform: 'trim' },
+          { name: 'price', selector: '.price', transform: 'price' },
+          { name: 'link', selector: './/a/@href', transform: 'url' },
+          { name: 'stock', selector: '.stock', default: 'unknown' },
+        ],
+      },
+      {
+        name: 'reviewers',
+        selector: 'text=reviewers',
+        transform: [{ regex: 'by (.+) rev' }, 'number'],
+      },
+      { name: 'rating', selector: 'xpath=//p', transform: [{ regex: '([\\d.]+) out' }, 'number'] },
+    ]);
+    assert.deepEqual(extracted, {
+      products: [
+        {
+          sku: 'A1',
+          title: 'Red Mug',
+          price: { amount: 1299.99, currency: '$' },
+          link: 'https://shop.example/p/a1',
+          stock: 'unknown',
+        },
+        {
+          sku: 'B2',
+          title: 'Blue Mug',
+          price: null,
+          link: 'https://shop.example/p/b2',
+          stock: 'unknown',
+        },
+      ],
+      reviewers: 1234,
+      rating: 4.5,
+    });
+    await assert.rejects(runExtract(page, [{ name: 'broken', selector: 'xpath=//[' }]), {
+      status: 422,
+      details: { failedField: 'extract[0]' },
+    });
+  } finally {
+    await page.close();
+  }
+});
@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('./fixtures', import.meta.url));
+
+// A missing Chromium fails the browser tests, so CI cannot pass without
+// running the parsers. SKIP_BROWSER_TESTS=1 skips them instead (null).
+export async function launchBrowser() {
+  try {
+    return await chromium.launch({ headless: true });
+  } catch (err) {
+    if (process.env.SKIP_BROWSER_TESTS === '1') return null;
+    throw new Error(
+      `Chromium is not available (${err.message.split('\n')[0]}); run ` +
+        '"npx playwright install chromium" or set SKIP_BROWSER_TESTS=1'
+    );
+  }
+}
+
+// Fixture pairs: <name>.html is the saved page, <name>.json holds the URL it
+// was served from, the parser options and the expected output.
+export function listFixtures(kind) {
+  const dir = path.join(FIXTURES_DIR, kind);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.html'))
+    .sort()
+    .map((file) => {
+      const name = path.basename(file, '.html');
+      return {
+        name,
+        html: fs.readFileSync(path.join(dir, file), 'utf8'),
+        ...JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8')),
+      };
+    });
+}
+
+// Serves the HTML at its original URL so relative links resolve as they did
+// live. The page's own scripts are blocked by CSP (the parsers still run and
+// can wait on timers) and every other request is aborted: no network.
+export async function loadFixturePage(browser, { url, html }) {
+  const context = await browser.newContext();
+  await context.route('**/*', (route) =>
+    route.request().url() === url
+      ? route.fulfill({
+          status: 200,
+          headers: { 'content-security-policy': "script-src 'none'" },
+          contentType: 'text/html; charset=utf-8',
+          body: html,
+        })
+      : route.abort()
+  );
+  const page = await context.newPage();
+  await page.goto(url, { waitUntil: 'domcontentloaded' });
+  return { page, close: () => context.close() };
+}
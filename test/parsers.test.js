@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSerp } from '../src/extractors/serp.js';
+import { parseMaps } from '../src/extractors/maps.js';
+import { parseVertical } from '../src/extractors/verticals.js';
+import { parsePlace } from '../src/extractors/place.js';
+import { parseReviews } from '../src/extractors/reviews.js';
+import { launchBrowser, listFixtures, loadFixturePage } from './helpers.js';
+
+const parsers = {
+  serp: parseSerp,
+  news: (page, options) => parseVertical(page, 'news', options),
+  images: (page, options) => parseVertical(page, 'images', options),
+  videos: (page, options) => parseVertical(page, 'videos', options),
+  shopping: (page, options) => parseVertical(page, 'shopping', options),
+  maps: parseMaps,
+  place: parsePlace,
+  reviews: parseReviews,
+};
+let browser = null;
+
+before(async () => {
+  browser = await launchBrowser();
+});
+
+after(async () => {
+  if (browser) {
+    await browser.close();
+  }
+});
+
+for (const [kind, parse] of Object.entries(parsers)) {
+  for (const fixture of listFixtures(kind)) {
+    // Hand-written pages only show the selectors still read the markup they
+    // were written for; captured pages also catch Google changing its markup.
+    const label = fixture.handWritten ? ' (hand-written)' : '';
+    test(`${kind}: ${fixture.name}${label}`, async (t) => {
+      if (!browser) {
+        t.skip('SKIP_BROWSER_TESTS is set');
+        return;
+      }
+      const { page, close } = await loadFixturePage(browser, fixture);
+      try {
+        assert.deepEqual(await parse(page, fixture.options), fixture.expected);
+      } finally {
+        await close();
+      }
+    });
+  }
+}
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { launchBrowser } from './helpers.js';
+
+const MIN_INTERVAL = 600;
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'pb-politeness-'));
+const politenessFile = path.join(tmp, 'politeness.json');
+fs.writeFileSync(
+  politenessFile,
+  JSON.stringify({ hosts: { '127.0.0.1': { minInterval: MIN_INTERVAL } } })
+);
+// Config is read when the service modules load.
+process.env.POLITENESS_FILE = politenessFile;
+process.env.PROFILE_DIR = path.join(tmp, 'profiles');
+process.env.CONCURRENCY = '1';
+process.env.LOG_LEVEL = 'error';
+
+const { prepareJob, executeJob } = await import('../src/execute.js');
+const { closeAllProfiles } = await import('../src/profiles.js');
+
+const navigations = [];
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/page')) {
+    navigations.push(Date.now());
+  }
+  res.setHeader('content-type', 'text/html');
+  res.end('<title>ok</title>');
+});
+let browser = null;
+
+before(async () => {
+  browser = await launchBrowser();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(async () => {
+  await closeAllProfiles();
+  if (browser) {
+    await browser.close();
+  }
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('jobs queued on one profile keep the host interval between navigations', async (t) => {
+  if (!browser) {
+    t.skip('SKIP_BROWSER_TESTS is set');
+    return;
+  }
+  const fetchJob = (name, extra = {}) =>
+    prepareJob('fetch', {
+      url: `http://127.0.0.1:${server.address().port}/page/${name}`,
+      waitUntil: 'load',
+      noCache: true,
+      ...extra,
+    });
+  // The first job holds the profile long enough for both others to queue up
+  // behind it with their host slots long due.
+  await Promise.all([
+    executeJob(fetchJob('long', { waitForTimeout: 3 * MIN_INTERVAL })),
+    executeJob(fetchJob('a')),
+    executeJob(fetchJob('b')),
+  ]);
+  assert.equal(navigations.length, 3);
+  for (let i = 1; i < navigations.length; i += 1) {
+    assert.ok(
+      navigations[i] - navigations[i - 1] >= MIN_INTERVAL - 50,
+      `navigation ${i} came ${navigations[i] - navigations[i - 1]}ms after the previous one`
+    );
+  }
+});
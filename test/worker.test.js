@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Runs against a real Redis; streams get a random prefix and are deleted afterwards.
+const { REDIS_URL } = process.env;
+const RETRY_DELAY = 300;
+const MAX_RETRIES = 2;
+const WAIT_LIMIT = 60000;
+const prefix = `pb-test:${crypto.randomUUID()}`;
+const streams = {
+  jobs: `${prefix}:jobs`,
+  results: `${prefix}:results`,
+  dead: `${prefix}:dead`,
+};
+const group = `${prefix}:workers`;
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'pb-worker-'));
+// Config is read when the service modules load.
+process.env.REDIS_JOB_STREAM = streams.jobs;
+process.env.REDIS_RESULT_STREAM = streams.results;
+process.env.REDIS_DEAD_LETTER_STREAM = streams.dead;
+process.env.REDIS_CONSUMER_GROUP = group;
+process.env.WORKER_CONCURRENCY = '1';
+process.env.WORKER_MAX_RETRIES = String(MAX_RETRIES);
+process.env.WORKER_RETRY_DELAY = String(RETRY_DELAY);
+process.env.PROFILE_DIR = path.join(tmp, 'profiles');
+process.env.LOG_LEVEL = 'error';
+
+const failures = [];
+const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/fail')) {
+    // An empty response makes the navigation, and so the job, fail.
+    failures.push(Date.now());
+    req.socket.destroy();
+    return;
+  }
+  res.setHeader('content-type', 'text/html');
+  res.end('<title>ok</title>');
+});
+let redis;
+let worker;
+let closeAllProfiles;
+
+const toObject = (fields) => {
+  const object = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    object[fields[i]] = fields[i + 1];
+  }
+  return object;
+};
+
+async function readStream(stream, jobId) {
+  const entries = await redis.xrange(stream, '-', '+');
+  return entries
+    .map(([id, fields]) => ({ id, ...toObject(fields) }))
+    .filter((entry) => entry.job_id === jobId);
+}
+
+// Polls until check() returns true or a non-empty array.
+async function waitFor(check, label) {
+  const deadline = Date.now() + WAIT_LIMIT;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (Array.isArray(value) ? value.length : value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`timed out waiting for ${label}`);
+}
+
+async function enqueue(payload) {
+  const jobId = crypto.randomUUID();
+  await redis.xadd(
+    streams.jobs,
+    '*',
+    ...['job_id', jobId, 'endpoint_module', 'fetch', 'payload', JSON.stringify(payload)],
+    ...['priority', '0', 'retry_count', '0', 'trace_id', jobId]
+  );
+  return jobId;
+}
+
+const pendingCount = async () => (await redis.xpending(streams.jobs, group))[0];
+const pageUrl = (name) => `http://127.0.0.1:${server.address().port}/${name}`;
+
+before(async () => {
+  if (!REDIS_URL) return;
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { default: Redis } = await import('ioredis');
+  redis = new Redis(REDIS_URL);
+  worker = await import('../src/worker.js');
+  ({ closeAllProfiles } = await import('../src/profiles.js'));
+  await worker.startWorker();
+});
+
+after(async () => {
+  if (worker) {
+    await worker.stopWorker();
+    await closeAllProfiles();
+  }
+  if (redis) {
+    await redis.del(streams.jobs, streams.results, streams.dead);
+    await redis.quit();
+  }
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('a finished job is published and then acknowledged', async (t) => {
+  if (!REDIS_URL) {
+    t.skip('REDIS_URL is not set');
+    return;
+  }
+  const jobId = await enqueue({ url: pageUrl('ok'), noCache: true });
+  const [result] = await waitFor(() => readStream(streams.results, jobId), 'the result');
+  assert.equal(result.status, 'completed');
+  assert.equal(JSON.parse(result.result).status, 200);
+  await waitFor(async () => (await pendingCount()) === 0, 'the ack');
+  assert.deepEqual(await readStream(streams.dead, jobId), []);
+});
+
+test('a failing job is retried with growing delays, then dead-lettered', async (t) => {
+  if (!REDIS_URL) {
+    t.skip('REDIS_URL is not set');
+    return;
+  }
+  const jobId = await enqueue({ url: pageUrl('fail'), noCache: true });
+  const [dead] = await waitFor(() => readStream(streams.dead, jobId), 'the dead letter');
+  assert.equal(dead.retry_count, String(MAX_RETRIES));
+  assert.ok(dead.error);
+  assert.ok(dead.source_id);
+
+  const attempts = await readStream(streams.jobs, jobId);
+  assert.deepEqual(attempts.map((entry) => entry.retry_count), ['0', '1', '2']);
+  assert.equal(failures.length, MAX_RETRIES + 1);
+  for (let i = 1; i < failures.length; i += 1) {
+    const expected = RETRY_DELAY * 2 ** (i - 1);
+    const gap = failures[i] - failures[i - 1];
+    assert.ok(gap >= expected, `retry ${i} came after ${gap}ms, expected at least ${expected}ms`);
+  }
+
+  const [result] = await readStream(streams.results, jobId);
+  assert.equal(result.status, 'failed');
+  await waitFor(async () => (await pendingCount()) === 0, 'the ack');
+});